@@ -1,7 +1,33 @@
 /**
  * game.js - Boss Raid Game Logic (Phaser 3 Edition)
+ *
+ * Room settings ("room_settings"): boss HP and name, overlay language and
+ * the chat words shown in the join hint.
  */
 
+// Overlay texts per room language (English when not listed)
+const STRINGS = {
+  en: {
+    hint: (join, attack) =>
+      `💬 Chat "${join}" to play | "${attack}" to attack!`,
+    join: "join",
+    attack: "hit",
+    buff: "💪 BUFF!",
+    slowDown: "🐢 Slow down!",
+    victory: "VICTORY!",
+    defeated: "BOSS DEFEATED",
+  },
+  vi: {
+    hint: (join, attack) => `💬 Chat "${join}" để chơi | "${attack}" để đánh!`,
+    join: "thamgia",
+    attack: "đánh",
+    buff: "💪 TĂNG SỨC!",
+    slowDown: "🐢 Chậm lại!",
+    victory: "CHIẾN THẮNG!",
+    defeated: "ĐÃ HẠ BOSS",
+  },
+};
+
 class MainScene extends Phaser.Scene {
   constructor() {
     super({ key: "MainScene" });
@@ -10,6 +36,8 @@ class MainScene extends Phaser.Scene {
     this.socket = null;
     this.streamerUsername = null;
     this.isGameOver = false;
+    this.settings = { bossHp: 50000, bossName: "RAID BOSS" };
+    this.strings = STRINGS.en;
   }
 
   preload() {
@@ -101,12 +129,27 @@ class MainScene extends Phaser.Scene {
     this.streamerUsername = this.getUsernameFromURL();
 
     if (this.streamerUsername) {
-      this.socket.emit("join-room", this.streamerUsername);
       const statusText = document.getElementById("statusText");
       if (statusText)
         statusText.textContent = `Connecting: @${this.streamerUsername}`;
     }
 
+    // (Re)join on every connect, so the overlay comes back after a restart
+    this.socket.on("connect", () => {
+      if (!this.streamerUsername) return;
+      this.socket.emit("join-room", {
+        room: this.streamerUsername,
+        token: new URLSearchParams(window.location.search).get("token"),
+      });
+    });
+
+    this.socket.on("server_restarting", () => {
+      const statusText = document.getElementById("statusText");
+      const statusDot = document.getElementById("statusDot");
+      if (statusText) statusText.textContent = "Server restarting...";
+      if (statusDot) statusDot.classList.remove("connected");
+    });
+
     // Socket Events
     this.socket.on("room-joined", (data) => {
       const statusText = document.getElementById("statusText");
@@ -116,10 +159,42 @@ class MainScene extends Phaser.Scene {
       if (statusDot) statusDot.classList.add("connected");
     });
 
-    this.socket.on("chat", (data) => this.handleChat(data));
+    this.socket.on("tiktok_reconnecting", (data) => {
+      const statusText = document.getElementById("statusText");
+      const statusDot = document.getElementById("statusDot");
+      if (statusText)
+        statusText.textContent = `Reconnecting (${data.attempt}/${data.maxAttempts})...`;
+      if (statusDot) statusDot.classList.remove("connected");
+    });
+
+    this.socket.on("tiktok_connected", () => {
+      const statusText = document.getElementById("statusText");
+      const statusDot = document.getElementById("statusDot");
+      if (statusText)
+        statusText.textContent = `Connected: @${this.streamerUsername}`;
+      if (statusDot) statusDot.classList.add("connected");
+    });
+
+    this.socket.on("tiktok_disconnected", (data) => {
+      const statusText = document.getElementById("statusText");
+      const statusDot = document.getElementById("statusDot");
+      if (statusText)
+        statusText.textContent =
+          data.reason === "stream_end" ? "Live ended" : "Disconnected";
+      if (statusDot) statusDot.classList.remove("connected");
+    });
+
+    this.socket.on("auth_error", (data) => {
+      const statusText = document.getElementById("statusText");
+      if (statusText) statusText.textContent = `🔒 ${data.message}`;
+    });
+
+    this.socket.on("room_settings", (data) => this.applySettings(data));
     this.socket.on("player_join", (data) => this.handlePlayerJoin(data));
     this.socket.on("player_attack", (data) => this.handlePlayerAttack(data));
     this.socket.on("gift_received", (data) => this.handleGift(data));
+    this.socket.on("tiktok_gift_combo", (data) => this.handleGiftCombo(data));
+    this.socket.on("command_throttled", (data) => this.handleThrottled(data));
   }
 
   getUsernameFromURL() {
@@ -127,6 +202,30 @@ class MainScene extends Phaser.Scene {
     return urlParams.get("id") || null;
   }
 
+  /**
+   * Room settings changed (sent on join and after every change):
+   * texts follow the room language, the boss keeps its remaining HP share
+   */
+  applySettings(data) {
+    this.strings = STRINGS[data.language] || STRINGS.en;
+    this.settings = { ...this.settings, ...data.games?.["boss-raid"] };
+
+    const hint = document.getElementById("joinHint");
+    if (hint) {
+      hint.textContent = this.strings.hint(
+        data.commands?.join?.[0] || this.strings.join,
+        data.commands?.attack?.[0] || this.strings.attack
+      );
+    }
+
+    if (!this.boss || this.isGameOver) return;
+    const share = this.boss.currentHp / this.boss.maxHp;
+    this.boss.maxHp = this.settings.bossHp;
+    this.boss.currentHp = Math.ceil(this.settings.bossHp * share);
+    this.boss.nameText.setText(this.settings.bossName);
+    this.updateBossHpBar();
+  }
+
   // ==========================================
   // GAME OBJECTS
   // ==========================================
@@ -135,8 +234,8 @@ class MainScene extends Phaser.Scene {
     const { width, height } = this.scale;
 
     this.boss = this.add.container(width / 2, height / 2);
-    this.boss.maxHp = 50000; // Increased HP for raid feel
-    this.boss.currentHp = 50000;
+    this.boss.maxHp = this.settings.bossHp;
+    this.boss.currentHp = this.settings.bossHp;
     this.boss.radius = 100;
 
     // Boss Sprite (Emoji)
@@ -151,7 +250,7 @@ class MainScene extends Phaser.Scene {
 
     // Boss Name
     const nameText = this.add
-      .text(0, -140, "RAID BOSS", {
+      .text(0, -140, this.settings.bossName, {
         fontSize: "32px",
         fontFamily: "Segoe UI",
         fontStyle: "bold",
@@ -163,7 +262,7 @@ class MainScene extends Phaser.Scene {
 
     // HP Text
     const hpText = this.add
-      .text(0, -100, "50000", {
+      .text(0, -100, `${this.settings.bossHp}`, {
         fontSize: "18px",
         fontFamily: "monospace",
         fontStyle: "bold",
@@ -175,6 +274,7 @@ class MainScene extends Phaser.Scene {
 
     this.boss.hpFill = hpFill;
     this.boss.hpText = hpText;
+    this.boss.nameText = nameText;
     this.boss.sprite = bossText;
 
     this.physics.add.existing(this.boss);
@@ -253,22 +353,6 @@ class MainScene extends Phaser.Scene {
     this.updateLeaderboard();
   }
 
-  handleChat(data) {
-    if (this.isGameOver) return;
-    const { user, comment } = data;
-    const msg = comment.toLowerCase().trim();
-
-    // Auto join
-    if (!this.players.has(user.uniqueId)) {
-      // join on any interaction
-      this.handlePlayerJoin({ user });
-    }
-
-    if (["hit", "attack", "chem", "danh"].some((k) => msg.includes(k))) {
-      this.handlePlayerAttack({ user, damage: 100 });
-    }
-  }
-
   // ==========================================
   // ACTIONS
   // ==========================================
@@ -346,7 +430,7 @@ class MainScene extends Phaser.Scene {
       });
 
       const buffText = this.add
-        .text(player.x, player.y - 50, "💪 BUFF!", {
+        .text(player.x, player.y - 50, this.strings.buff, {
           fontSize: "18px",
           color: "#00ff00",
           stroke: "#000",
@@ -392,6 +476,39 @@ class MainScene extends Phaser.Scene {
     }
   }
 
+  /**
+   * Running combo: visual counter only.
+   * Damage is applied once by handleGift() with the final total.
+   */
+  handleGiftCombo(data) {
+    if (this.isGameOver) return;
+    const { user, giftName, repeatCount } = data;
+    const player = this.players.get(user.uniqueId);
+    if (!player) return;
+
+    this.showFloatingText(
+      player.x,
+      player.y - 80,
+      `🎁 ${giftName} x${repeatCount}`,
+      0xffd700
+    );
+  }
+
+  /**
+   * Spam feedback: the server dropped this viewer's command
+   */
+  handleThrottled(data) {
+    const player = this.players.get(data.user.uniqueId);
+    if (!player) return;
+
+    this.showFloatingText(
+      player.x,
+      player.y - 60,
+      this.strings.slowDown,
+      0xaaaaaa
+    );
+  }
+
   triggerGlobalAttack(user, giftName) {
     // Screen Shake
     this.cameras.main.shake(1000, 0.05);
@@ -463,6 +580,8 @@ class MainScene extends Phaser.Scene {
 
   bossDeath() {
     this.isGameOver = true;
+    this.submitScores();
+    this.reportVictory();
     this.boss.sprite.setText("💀");
     this.createExplosionEffect(this.boss.x, this.boss.y, 0xff0000, 200, true);
     this.cameras.main.shake(1000, 0.05);
@@ -473,7 +592,7 @@ class MainScene extends Phaser.Scene {
       .rectangle(width / 2, height / 2, width, height, 0x000000, 0.8)
       .setDepth(100);
     const winText = this.add
-      .text(width / 2, height / 2 - 50, "VICTORY!", {
+      .text(width / 2, height / 2 - 50, this.strings.victory, {
         fontSize: "80px",
         fontFamily: "Arial Black",
         color: "#ffd700",
@@ -484,7 +603,7 @@ class MainScene extends Phaser.Scene {
       .setDepth(101);
 
     const subText = this.add
-      .text(width / 2, height / 2 + 50, "BOSS DEFEATED", {
+      .text(width / 2, height / 2 + 50, this.strings.defeated, {
         fontSize: "32px",
         color: "#ffffff",
       })
@@ -507,6 +626,48 @@ class MainScene extends Phaser.Scene {
     });
   }
 
+  /**
+   * Save this fight's damage to the server leaderboard
+   * (all-time / daily / per-stream boards, see /leaderboard.html)
+   */
+  submitScores() {
+    this.players.forEach((player) => {
+      if (player.damageDealt <= 0) return;
+      this.socket.emit("leaderboard-score", {
+        game: "boss-raid",
+        user: { uniqueId: player.uniqueId, nickname: player.nickname },
+        score: player.damageDealt,
+      });
+    });
+  }
+
+  /**
+   * Tell the room the boss is down; the top damage dealer gets a win
+   * in their viewer profile
+   */
+  reportVictory() {
+    const mvp = Array.from(this.players.values()).sort(
+      (a, b) => b.damageDealt - a.damageDealt
+    )[0];
+
+    this.socket.emit("game-report", {
+      game: "boss-raid",
+      type: "event",
+      data: {
+        name: "boss_defeated",
+        players: this.players.size,
+        mvp: mvp?.uniqueId,
+      },
+    });
+    if (mvp?.damageDealt > 0) {
+      this.socket.emit("game-report", {
+        game: "boss-raid",
+        type: "win",
+        data: { user: { uniqueId: mvp.uniqueId, nickname: mvp.nickname } },
+      });
+    }
+  }
+
   updateLeaderboard() {
     const leaderboardList = document.getElementById("leaderboardList");
     if (!leaderboardList) return;
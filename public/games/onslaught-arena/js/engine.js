@@ -1311,6 +1311,13 @@
 
       this.currentWaveId++;
       var actualWave = this.currentWaveId + 1;
+      // Let the room (dashboard, stats pages) follow the run
+      if (window.TikTokBridge) {
+        TikTokBridge.report("onslaught-arena", "state", { wave: actualWave });
+        TikTokBridge.emit("onslaught-arena", "wave_reached", {
+          wave: actualWave,
+        });
+      }
       if (this.continuing || this.waveHack) {
         var start = this.waveHack ? 1 : 2;
         // Start with 2 as we don't want the bonus weapons spawning at continue
@@ -1431,12 +1438,13 @@
       var highScore = Number(this.getData(HIGH_SCORE_KEY));
       var totalScore = this.getTotalScore();
 
-      // Clay.io: Post score to clay.io
-      var _this = this;
-      this.clayLeaderboard.post({ score: totalScore }, function () {
-        // Show the leaderboard
-        _this.showLeaderboard(true);
-      });
+      // Post score to the streamer's leaderboard (Clay.io is gone).
+      // The whole chat plays one hero, so the run is scored for the streamer.
+      if (window.TikTokBridge) {
+        TikTokBridge.submitScore("onslaught-arena", null, totalScore, {
+          mode: "best",
+        });
+      }
 
       if (totalScore > highScore) {
         this.putData(HIGH_SCORE_KEY, totalScore);
@@ -3,7 +3,8 @@
  * Bridges TikTokBridge events to Onslaught! Arena engine.
  */
 (function () {
-  const KEY_PULSE_MS = 500; // How long a key stays "pressed" from one comment
+  // How long a key stays "pressed" from one comment (room setting keyPulseMs)
+  let keyPulseMs = 500;
 
   // Key mapping based on horde.Keyboard.Keys
   const Keys = {
@@ -22,7 +23,7 @@
 
   const activeKeys = {};
 
-  function pressKey(keyCode, duration = KEY_PULSE_MS) {
+  function pressKey(keyCode, duration = keyPulseMs) {
     if (!window.gameEngine || !window.gameEngine.keyboard) return;
 
     const kb = window.gameEngine.keyboard;
@@ -44,39 +45,35 @@
   const username = urlParams.get("username");
 
   console.log(`[TikTokMod] Connecting for user: ${username}`);
-  TikTokBridge.connect(username);
+  TikTokBridge.connect(username, undefined, urlParams.get("token"));
 
-  TikTokBridge.on("chat", (data) => {
-    const comment = data.comment.toLowerCase().trim();
+  // Commands are parsed server-side (CommandRouter): aliases in any language,
+  // with or without diacritics ("lên" / "len" / "up" / "w")
+  const MOVE_KEYS = { up: Keys.W, down: Keys.S, left: Keys.A, right: Keys.D };
+  const SHOOT_KEYS = {
+    up: Keys.UP,
+    down: Keys.DOWN,
+    left: Keys.LEFT,
+    right: Keys.RIGHT,
+  };
 
-    // Movement commands (Mapped to WSAD per game engine default)
-    if (comment.includes("lên") || comment === "up" || comment === "w")
-      pressKey(Keys.W);
-    if (comment.includes("xuống") || comment === "down" || comment === "s")
-      pressKey(Keys.S);
-    if (comment.includes("trái") || comment === "left" || comment === "a")
-      pressKey(Keys.A);
-    if (comment.includes("phải") || comment === "right" || comment === "d")
-      pressKey(Keys.D);
+  TikTokBridge.on("command", (data) => {
+    const { command, args } = data;
 
-    // Firing commands (Mapped to Space or directional arrows)
-    if (
-      comment === "hit" ||
-      comment === "đánh" ||
-      comment === "fire" ||
-      comment === "bắn"
-    ) {
-      pressKey(Keys.FIRE, 200);
+    // Movement commands (Mapped to WSAD per game engine default)
+    if (command === "move") {
+      pressKey(MOVE_KEYS[args.direction]);
     }
 
-    // Directional firing (Uses Arrow keys)
-    if (comment === "shoot up" || comment === "bắn lên") pressKey(Keys.UP, 200);
-    if (comment === "shoot down" || comment === "bắn xuống")
-      pressKey(Keys.DOWN, 200);
-    if (comment === "shoot left" || comment === "bắn trái")
-      pressKey(Keys.LEFT, 200);
-    if (comment === "shoot right" || comment === "bắn phải")
-      pressKey(Keys.RIGHT, 200);
+    if (command === "attack") {
+      if (args.direction) {
+        // Directional firing (Uses Arrow keys)
+        pressKey(SHOOT_KEYS[args.direction], 200);
+      } else {
+        // Firing commands (Mapped to Space)
+        pressKey(Keys.FIRE, 200);
+      }
+    }
   });
 
   TikTokBridge.on("gift", (data) => {
@@ -96,6 +93,11 @@
     }
   });
 
+  TikTokBridge.on("settings", () => {
+    const settings = TikTokBridge.getGameSettings("onslaught-arena");
+    if (settings) keyPulseMs = settings.keyPulseMs;
+  });
+
   TikTokBridge.on("connected", () => {
     console.log("[TikTokMod] Bridge Ready");
   });
@@ -5,8 +5,10 @@
  * Features:
  * - Game selection from grid
  * - Username validation
+ * - Room claim (overlay token + control key, kept in localStorage)
  * - Overlay URL generation
  * - Copy to clipboard
+ * - Room log (recent server log lines of the room)
  *
  * @module dashboard
  */
@@ -19,6 +21,8 @@ document.addEventListener("DOMContentLoaded", () => {
   const generateBtn = document.getElementById("generateBtn");
   const outputSection = document.getElementById("outputSection");
   const outputUrl = document.getElementById("outputUrl");
+  const controlKeyInput = document.getElementById("controlKey");
+  const roomLog = document.getElementById("roomLog");
   const copyBtn = document.getElementById("copyBtn");
   const toast = document.getElementById("toast");
   const gameCards = document.querySelectorAll(".game-card[data-game]");
@@ -29,6 +33,7 @@ document.addEventListener("DOMContentLoaded", () => {
   let selectedGame = "boss-raid";
   let gameEntry = "overlay.html";
   let gameParam = "id";
+  let roomLogTimer = null;
 
   // ==========================================
   // GAME SELECTION
@@ -54,7 +59,7 @@ document.addEventListener("DOMContentLoaded", () => {
   // GENERATE LINK
   // Create overlay URL based on username and selected game
   // ==========================================
-  generateBtn.addEventListener("click", () => {
+  generateBtn.addEventListener("click", async () => {
     // Get and validate username
     const username = usernameInput.value.trim().toLowerCase();
 
@@ -68,7 +73,8 @@ document.addEventListener("DOMContentLoaded", () => {
     const cleanUsername = username.replace("@", "");
 
     // Validate: only allow letters, numbers, underscore, and dots
-    if (!/^[a-z0-9_.]+$/.test(cleanUsername)) {
+    // ("mock:" prefix selects the local mock source for testing)
+    if (!/^(mock:)?[a-z0-9_.]+$/.test(cleanUsername)) {
       showToast(
         "⚠️ Username can only contain letters, numbers, _, and .",
         "error"
@@ -76,21 +82,33 @@ document.addEventListener("DOMContentLoaded", () => {
       return;
     }
 
+    // Claim the room (or reuse the tokens this browser already has)
+    let tokens;
+    try {
+      tokens = await getRoomTokens(cleanUsername);
+    } catch (err) {
+      showToast(`⚠️ ${err.message}`, "error");
+      return;
+    }
+
     /**
      * GENERATE OVERLAY URL
      *
-     * Format: /games/{game}/overlay.html?id={username}
+     * Format: /games/{game}/overlay.html?id={username}&token={overlayToken}
      *
      * IMPORTANT:
      * - Uses window.location.origin to support production deployment
      * - Username will be used as Room ID for Socket.io
+     * - The overlay token is read-only; the control key is never in the URL
      */
     const baseUrl = window.location.origin;
-    const overlayUrl = `${baseUrl}/games/${selectedGame}/${gameEntry}?${gameParam}=${cleanUsername}`;
+    const overlayUrl = `${baseUrl}/games/${selectedGame}/${gameEntry}?${gameParam}=${cleanUsername}&token=${tokens.overlayToken}`;
 
     // Show output section
     outputUrl.value = overlayUrl;
+    controlKeyInput.value = tokens.controlKey;
     outputSection.classList.add("visible");
+    watchRoomLog(cleanUsername, tokens.controlKey);
 
     // Scroll to output
     outputSection.scrollIntoView({ behavior: "smooth", block: "center" });
@@ -104,6 +122,73 @@ document.addEventListener("DOMContentLoaded", () => {
     console.log(`Generated overlay URL: ${overlayUrl}`);
   });
 
+  // ==========================================
+  // ROOM TOKENS
+  // First generate claims the room; later generates reuse the stored
+  // tokens so existing overlay links keep working
+  // ==========================================
+  async function getRoomTokens(room) {
+    const storageKey = `roomTokens:${room}`;
+    const stored = JSON.parse(localStorage.getItem(storageKey) || "null");
+    if (stored) return stored;
+
+    const response = await fetch(
+      `/api/rooms/${encodeURIComponent(room)}/claim`,
+      { method: "POST" }
+    );
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error);
+
+    localStorage.setItem(storageKey, JSON.stringify(data));
+    return data;
+  }
+
+  // ==========================================
+  // ROOM LOG
+  // Polls the room's recent log lines (needs the control key)
+  // ==========================================
+  function watchRoomLog(room, controlKey) {
+    clearInterval(roomLogTimer);
+
+    const refresh = async () => {
+      try {
+        const response = await fetch(
+          `/api/logs/${encodeURIComponent(room)}?level=info&limit=50`,
+          { headers: { "X-Room-Key": controlKey } }
+        );
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+        renderRoomLog(data.entries);
+      } catch (err) {
+        roomLog.textContent = `⚠️ ${err.message}`;
+      }
+    };
+
+    refresh();
+    roomLogTimer = setInterval(refresh, 5000);
+  }
+
+  function renderRoomLog(entries) {
+    if (entries.length === 0) {
+      roomLog.textContent = "Waiting for activity...";
+      return;
+    }
+
+    roomLog.replaceChildren(
+      ...entries.map((entry) => {
+        const { time, level, msg, component, room, ...fields } = entry;
+        const line = document.createElement("div");
+        line.className = level;
+        line.textContent = `${new Date(
+          time
+        ).toLocaleTimeString()} ${msg} ${Object.entries(fields)
+          .map(([name, value]) => `${name}=${value}`)
+          .join(" ")}`;
+        return line;
+      })
+    );
+  }
+
   // ==========================================
   // COPY TO CLIPBOARD
   // ==========================================
@@ -4,21 +4,61 @@
  *
  * Usage:
  * 1. Include this script in your game's index.html
- * 2. TikTokBridge.connect(username)
+ * 2. TikTokBridge.connect(username, serverUrl, token)
  * 3. TikTokBridge.on('chat', (data) => { ... })
+ * 4. TikTokBridge.submitScore('my-game', data.user, 100) (optional)
+ * 5. TikTokBridge.emit('my-game', 'boss_defeated', { level: 3 }) (optional)
+ *
+ * Combo gifts: 'gift' fires ONCE with the final repeatCount/totalValue,
+ * 'gift_combo' fires for every step while the combo is running.
+ *
+ * Claimed rooms need the overlay token from the dashboard: ?id=user&token=...
+ *
+ * Room settings (language, command words, per-game settings, see
+ * PUT /api/rooms/:room/settings): 'settings' fires on join and on every
+ * change, and TikTokBridge.getGameSettings('boss-raid') returns the
+ * current values.
+ *
+ * Missed events: every room event has a `seq`. After a reconnect or a page
+ * reload (e.g. OBS refreshing the source), the events missed in between are
+ * replayed first, then 'resumed' fires with { count, complete }.
+ *
+ * Server restarts: 'restarting' fires before the server goes down; the
+ * bridge reconnects and rejoins the room by itself ('connected' fires again).
  */
 (function (global) {
   class TikTokBridge {
     constructor() {
       this.socket = null;
       this.username = null;
+      this.token = null;
+      this.isReconnecting = false;
+      this.lastSeq = null; // seq of the last room event received
+      this.epoch = null; // Server run the seq belongs to
+      this.settings = null; // Latest 'room_settings' of the room
       this.eventHandlers = {
         chat: [],
+        command: [],
+        throttled: [],
         gift: [],
+        gift_combo: [],
         like: [],
         share: [],
+        follow: [],
+        member: [],
+        subscribe: [],
+        emote: [],
+        question: [],
+        viewer_count: [],
         connected: [],
+        reconnecting: [],
         disconnected: [],
+        auth_error: [],
+        resumed: [],
+        leaderboard: [],
+        report: [],
+        settings: [],
+        restarting: [],
       };
       this.isInitialized = false;
 
@@ -28,7 +68,7 @@
         const user = params.get("id") || params.get("username");
         if (user) {
           console.log(`[TikTokBridge] Auto-connecting for user: ${user}`);
-          this.connect(user);
+          this.connect(user, undefined, params.get("token"));
         }
       });
     }
@@ -37,46 +77,137 @@
      * Initialize connection to the gateway
      * @param {string} username TikTok Username
      * @param {string} serverUrl Socket.io Server URL (optional)
+     * @param {string} token Overlay token of a claimed room (optional)
      */
-    connect(username, serverUrl = window.location.origin) {
+    connect(username, serverUrl = window.location.origin, token = null) {
       if (this.isInitialized || !username) return;
 
       this.username = username;
+      this.token = token;
+      this._loadResumeState();
       this.socket = io(serverUrl);
 
       this.socket.on("connect", () => {
         console.log("[TikTokBridge] Connected to server");
-        this.socket.emit("join-room", username);
+        this.socket.emit("join-room", {
+          room: username,
+          token,
+          lastSeq: this.lastSeq ?? undefined,
+          epoch: this.epoch ?? undefined,
+        });
+      });
+
+      // Remember the last room event, to resume from it after a reload
+      this.socket.onAny((event, data) => {
+        if (typeof data?.seq === "number") {
+          this.lastSeq = data.seq;
+          this._saveResumeState();
+        }
       });
 
       this.socket.on("room-joined", (data) => {
         console.log(`[TikTokBridge] Joined room: ${data.room}`);
+        this.epoch = data.epoch;
+        if (this.lastSeq === null) this.lastSeq = data.seq;
+        this._saveResumeState();
+
+        if (data.resumed) {
+          console.log(
+            `[TikTokBridge] Resumed: ${data.resumed.count} missed events` +
+              (data.resumed.complete ? "" : " (some were lost)")
+          );
+          this._dispatch("resumed", data.resumed);
+        }
         this._dispatch("connected", data);
       });
 
       // Generic Event Relay - Normalizing events from TikTokService.js
       this.socket.on("tiktok_chat", (data) => this._dispatch("chat", data));
+      this.socket.on("tiktok_command", (data) =>
+        this._dispatch("command", data)
+      ); // Parsed chat command: { command, args, alias, lang }
+      this.socket.on("command_throttled", (data) =>
+        this._dispatch("throttled", data)
+      ); // Command dropped by anti-spam: { user, command, reason, retryAfterMs }
       this.socket.on("tiktok_gift", (data) => this._dispatch("gift", data));
       this.socket.on("gift_received", (data) => this._dispatch("gift", data)); // Backward compatibility
+      this.socket.on("tiktok_gift_combo", (data) =>
+        this._dispatch("gift_combo", data)
+      ); // Running combo, final total comes as 'gift'
       this.socket.on("tiktok_like", (data) => this._dispatch("like", data));
       this.socket.on("tiktok_share", (data) => this._dispatch("share", data));
+      this.socket.on("tiktok_follow", (data) => this._dispatch("follow", data));
+      this.socket.on("tiktok_member", (data) => this._dispatch("member", data)); // A viewer entered the live
+      this.socket.on("tiktok_subscribe", (data) =>
+        this._dispatch("subscribe", data)
+      ); // { user, subMonth }
+      this.socket.on("tiktok_emote", (data) => this._dispatch("emote", data));
+      this.socket.on("tiktok_question", (data) =>
+        this._dispatch("question", data)
+      ); // Q&A question: { user, question }
+      this.socket.on("tiktok_viewer_count", (data) =>
+        this._dispatch("viewer_count", data)
+      ); // { viewerCount, topViewers: [{ user, coinCount }] }
+
+      this.socket.on("tiktok_reconnecting", (data) => {
+        console.log(
+          `[TikTokBridge] Live connection lost, retry ${data.attempt}/${data.maxAttempts} in ${data.delayMs}ms`
+        );
+        this.isReconnecting = true;
+        this._dispatch("reconnecting", data);
+      }); // Server retries by itself, 'connected' fires again on success
 
-      this.socket.on("tiktok_disconnected", () => {
-        console.log("[TikTokBridge] TikTok disconnected");
-        this._dispatch("disconnected");
+      this.socket.on("tiktok_connected", (data) => {
+        if (!this.isReconnecting) return; // First connect: 'room-joined'
+        this.isReconnecting = false;
+        console.log("[TikTokBridge] Live connection restored");
+        this._dispatch("connected", data);
+      });
+
+      this.socket.on("leaderboard_update", (data) =>
+        this._dispatch("leaderboard", data)
+      ); // { game, user, scores: { stream, daily, weekly, alltime } }
+      this.socket.on("leaderboard_error", (err) => {
+        console.error("[TikTokBridge] Leaderboard error:", err.message);
+      });
+
+      this.socket.on("room_settings", (data) => {
+        this.settings = data;
+        this._dispatch("settings", data);
+      }); // { language, commands, games: { [game]: { ... } } }
+
+      this.socket.on("game_report", (data) => this._dispatch("report", data)); // Another client's report: { game, type, data }
+      this.socket.on("game_report_error", (err) => {
+        console.error("[TikTokBridge] Report rejected:", err.message);
       });
 
+      this.socket.on("tiktok_disconnected", (data) => {
+        this.isReconnecting = false;
+        console.log("[TikTokBridge] TikTok disconnected:", data?.reason);
+        this._dispatch("disconnected", data);
+      }); // Final: { reason: 'stream_end' | 'reconnect_failed' | 'no_clients' }
+
+      this.socket.on("server_restarting", (data) => {
+        console.log("[TikTokBridge] Server restarting, will rejoin");
+        this._dispatch("restarting", data);
+      }); // Socket.io reconnects, then 'connect' rejoins the room
+
       this.socket.on("connection-error", (err) => {
         console.error("[TikTokBridge] Connection error:", err.message);
         // We don't alert here to avoid interrupting the game, just log
       });
 
+      this.socket.on("auth_error", (err) => {
+        console.error("[TikTokBridge] Auth error:", err.message);
+        this._dispatch("auth_error", err);
+      }); // Missing/invalid room token: { action, room, message }
+
       this.isInitialized = true;
     }
 
     /**
      * Register event handler
-     * @param {string} event 'chat', 'gift', 'like', 'share', 'connected'
+     * @param {string} event 'chat', 'command', 'throttled', 'gift', 'gift_combo', 'like', 'share', 'follow', 'member', 'subscribe', 'emote', 'question', 'viewer_count', 'connected', 'reconnecting', 'disconnected', 'auth_error', 'resumed', 'leaderboard', 'report', 'settings', 'restarting'
      * @param {function} callback
      */
     on(event, callback) {
@@ -85,6 +216,81 @@
       }
     }
 
+    /**
+     * Get a game's settings for this room (defaults included)
+     * @param {string} game Game ID, e.g. 'boss-raid'
+     * @returns {object|null} null until the room is joined
+     */
+    getGameSettings(game) {
+      return this.settings?.games?.[game] || null;
+    }
+
+    /**
+     * Submit a score to the room's server-side leaderboard
+     * @param {string} game Game ID, e.g. 'boss-raid'
+     * @param {object} user Viewer ({ uniqueId, nickname }), null = the streamer
+     * @param {number} score Score (>= 0)
+     * @param {object} options { mode: 'add' (sum, default) | 'best' (keep max) }
+     */
+    submitScore(game, user, score, options = {}) {
+      if (!this.socket) return;
+      this.socket.emit("leaderboard-score", {
+        game,
+        user: user || { uniqueId: this.username, nickname: this.username },
+        score,
+        mode: options.mode,
+      });
+    }
+
+    /**
+     * Report game state or outcomes back to the server
+     * The server validates the report and forwards it to the other clients
+     * of the room ('report' event); scores and wins are saved.
+     * @param {string} game Game ID, e.g. 'boss-raid'
+     * @param {string} type 'state' | 'event' | 'score' | 'win'
+     * @param {object} data state: any object, event: { name, ... },
+     *   score: { user, score, mode }, win: { user }
+     */
+    report(game, type, data = {}) {
+      if (!this.socket) return;
+      this.socket.emit("game-report", { game, type, data });
+    }
+
+    /**
+     * Report a game event, e.g. emit('boss-raid', 'boss_defeated', { level })
+     * @param {string} game Game ID
+     * @param {string} name Event name ([a-z0-9_-])
+     * @param {object} data Event details (optional)
+     */
+    emit(game, name, data = {}) {
+      this.report(game, "event", { ...data, name });
+    }
+
+    _loadResumeState() {
+      try {
+        const saved = JSON.parse(
+          sessionStorage.getItem(`tiktokBridge:${this.username}`)
+        );
+        if (saved) {
+          this.lastSeq = saved.lastSeq;
+          this.epoch = saved.epoch;
+        }
+      } catch (e) {
+        // Storage unavailable (e.g. sandboxed iframe) - start fresh
+      }
+    }
+
+    _saveResumeState() {
+      try {
+        sessionStorage.setItem(
+          `tiktokBridge:${this.username}`,
+          JSON.stringify({ lastSeq: this.lastSeq, epoch: this.epoch })
+        );
+      } catch (e) {
+        // Storage unavailable - resume only works across reconnects
+      }
+    }
+
     _dispatch(event, data) {
       if (this.eventHandlers[event]) {
         this.eventHandlers[event].forEach((handler) => {
@@ -13,29 +13,284 @@
 import express from "express";
 import { createServer } from "http";
 import { Server } from "socket.io";
+import { WebSocketServer } from "ws";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 import tiktokService from "./services/TikTokService.js";
+import sessionRecorder from "./services/SessionRecorder.js";
+import replayService from "./services/ReplayService.js";
+import giftCatalog from "./services/GiftCatalog.js";
+import commandRouter from "./services/CommandRouter.js";
+import commandThrottle from "./services/CommandThrottle.js";
+import moderationService from "./services/ModerationService.js";
+import roomAuthService from "./services/RoomAuthService.js";
+import roomEventBuffer from "./services/RoomEventBuffer.js";
+import viewerStore from "./services/ViewerStore.js";
+import leaderboardService, {
+  LEADERBOARD_WINDOWS,
+} from "./services/LeaderboardService.js";
+import gameReportService from "./services/GameReportService.js";
+import webhookService, { WEBHOOK_EVENTS } from "./services/WebhookService.js";
+import roomSettingsService from "./services/RoomSettingsService.js";
+import metricsService from "./services/MetricsService.js";
+import logger, { parseSampleEvery } from "./services/Logger.js";
+import { MOCK_EVENT_TYPES } from "./services/sources/MockSource.js";
+import { createCoordinator } from "./services/coordination/index.js";
+import configService from "./services/ConfigService.js";
 
 // ES Module equivalent of __dirname
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+const log = logger.child({ component: "Server" });
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+/**
+ * Number from an environment variable (undefined when not set)
+ * @param {string} name - Variable name
+ * @returns {number|undefined}
+ */
+function envNumber(name) {
+  return process.env[name] ? Number(process.env[name]) : undefined;
+}
+
+// config/server.json (or CONFIG_FILE), see config/server.example.json.
+// Environment variables below override the file.
+const CONFIG_FILE =
+  process.env.CONFIG_FILE || join(__dirname, "../config/server.json");
+let config;
+try {
+  config = configService.load(CONFIG_FILE, {
+    server: {
+      port: envNumber("PORT"),
+      shutdownTimeoutMs: envNumber("SHUTDOWN_TIMEOUT_MS"),
+    },
+    connector: {
+      // "mock" for local development; "mock:<name>" rooms always use it
+      defaultSource: process.env.EVENT_SOURCE || undefined,
+      mock: {
+        scriptFile: process.env.MOCK_SCRIPT || undefined,
+        intervalMs: envNumber("MOCK_INTERVAL_MS"),
+      },
+      // "twitch:<channel>" rooms (anonymous read-only chat without a token)
+      twitch: {
+        url: process.env.TWITCH_IRC_URL || undefined,
+        nick: process.env.TWITCH_NICK || undefined,
+        password: process.env.TWITCH_OAUTH_TOKEN || undefined,
+      },
+      // Retries of dropped connections (0 = off)
+      reconnect: { maxAttempts: envNumber("RECONNECT_MAX_ATTEMPTS") },
+      // Connections left without clients are closed after this
+      inactivityTimeoutMs: envNumber("INACTIVITY_TIMEOUT_MS"),
+    },
+    rooms: {
+      // Reject overlays of rooms nobody has claimed yet
+      requireAuth: process.env.REQUIRE_ROOM_AUTH
+        ? process.env.REQUIRE_ROOM_AUTH === "1"
+        : undefined,
+      // Backlog of recent events per room for overlays that reload
+      eventBufferSize: envNumber("EVENT_BUFFER_SIZE"),
+    },
+    giftCatalog: { file: process.env.GIFT_CATALOG_FILE || undefined },
+    logging: {
+      level: process.env.LOG_LEVEL || undefined,
+      format: process.env.LOG_FORMAT || undefined,
+      // LOG_SAMPLE="like=20,attack=10", "" = off
+      sample:
+        process.env.LOG_SAMPLE !== undefined
+          ? parseSampleEvery(process.env.LOG_SAMPLE)
+          : undefined,
+    },
+  });
+} catch (error) {
+  (error.errors || [error.message]).forEach((message) =>
+    log.error("Invalid configuration", { file: CONFIG_FILE, error: message })
+  );
+  process.exit(1);
+}
+
+/**
+ * Log a data file that cannot be loaded at startup and exit
+ * @param {string} file - File path
+ * @param {Error} error - Parse or validation error
+ */
+function exitWithLoadError(file, error) {
+  (error.errors || [error.message]).forEach((message) =>
+    log.error("Cannot load data file", { file, error: message })
+  );
+  process.exit(1);
+}
+
+/**
+ * Load a data file at startup (corrupt files stop the server with a clear
+ * error instead of a stack trace)
+ * @param {string} file - File path
+ * @param {function(string): void} load - Service loader
+ */
+function loadDataFile(file, load) {
+  try {
+    load(file);
+  } catch (error) {
+    exitWithLoadError(file, error);
+  }
+}
+
+/**
+ * Apply the configuration to the services
+ * On reload, only sections that changed are applied, so runtime changes
+ * (admin settings...) survive unrelated edits. Rooms stay connected:
+ * connector options apply to the next connection.
+ *
+ * @param {Object} config - Validated configuration
+ * @param {Object} [previous] - Configuration being replaced
+ */
+function applyConfig(config, previous) {
+  const changed = (section) =>
+    !previous ||
+    JSON.stringify(config[section]) !== JSON.stringify(previous[section]);
+
+  if (changed("logging")) {
+    logger.configure({
+      level: config.logging.level,
+      format: config.logging.format,
+      sampleEvery: config.logging.sample,
+    });
+  }
+
+  if (changed("connector")) {
+    const { tiktok, mock, twitch, ...connector } = config.connector;
+    tiktokService.configure({
+      ...connector,
+      sourceOptions: { tiktok, mock, twitch },
+    });
+  }
+
+  if (changed("rooms")) {
+    commandThrottle.configure(config.rooms.throttle);
+    roomAuthService.configure({ requireClaim: config.rooms.requireAuth });
+    // Resizing clears the event backlogs
+    if (config.rooms.eventBufferSize !== roomEventBuffer.capacity) {
+      roomEventBuffer.configure({ capacity: config.rooms.eventBufferSize });
+    }
+  }
+
+  // Gift tiers, points and actions per room (see config/gift-catalog.example.json),
+  // re-read on every reload
+  try {
+    giftCatalog.load(config.giftCatalog.file);
+  } catch (error) {
+    if (!previous) exitWithLoadError(config.giftCatalog.file, error);
+    log.error("Invalid gift catalog, keeping the current one", {
+      file: config.giftCatalog.file,
+      error: error.message,
+    });
+  }
+
+  if (changed("commands")) {
+    commandRouter.setExtraAliases(config.commands.aliases);
+  }
+}
+
+applyConfig(config);
+configService.onReload((next, previous) => {
+  config = next;
+  applyConfig(next, previous);
+});
+configService.watch();
+process.on("SIGHUP", () => configService.reload());
+
 // ==========================================
 // SERVER INITIALIZATION
 // ==========================================
 const app = express();
 const server = createServer(app);
 
-// Socket.io with CORS enabled for development
+// Socket.io CORS: server.corsOrigins ("*" = any origin), read per request
+// so config reloads apply
 const io = new Server(server, {
   cors: {
-    origin: "*",
+    origin: (origin, callback) => {
+      const origins = config.server.corsOrigins;
+      callback(null, origins.includes("*") || origins.includes(origin));
+    },
     methods: ["GET", "POST"],
   },
 });
 
-const PORT = process.env.PORT || 3000;
+const PORT = config.server.port;
+
+// Several server processes: COORDINATOR=redis shares room ownership and
+// broadcasts through REDIS_URL (default: memory, single process)
+const coordinator = createCoordinator(process.env.COORDINATOR || "memory", {
+  url: process.env.REDIS_URL || undefined,
+  nodeId: process.env.NODE_ID || undefined,
+  leaseTtlMs: process.env.LEASE_TTL_MS
+    ? Number(process.env.LEASE_TTL_MS)
+    : undefined,
+});
+await coordinator.start();
+tiktokService.configure({ coordinator });
+const Adapter = coordinator.createAdapter();
+if (Adapter) io.adapter(Adapter);
+
+// Session recordings (NDJSON). RECORD_ALL=1 records every room.
+sessionRecorder.configure({
+  dir: process.env.RECORDINGS_DIR || join(__dirname, "../recordings"),
+  autoRecord: process.env.RECORD_ALL === "1",
+});
+
+// Blocklists and banned words per room
+loadDataFile(
+  process.env.MODERATION_FILE || join(__dirname, "../config/moderation.json"),
+  (file) => moderationService.load(file)
+);
+
+// Lifetime viewer stats per room (messages, gifts, games joined, wins...)
+loadDataFile(
+  process.env.VIEWER_STORE_FILE || join(__dirname, "../data/viewers.json"),
+  (file) => viewerStore.load(file)
+);
+
+// Score boards per room and game (stream, daily, weekly, all-time)
+loadDataFile(
+  process.env.LEADERBOARD_FILE || join(__dirname, "../data/leaderboards.json"),
+  (file) => leaderboardService.load(file)
+);
+
+// Outgoing webhooks per room (URLs + HMAC secrets, edited through the API)
+loadDataFile(
+  process.env.WEBHOOKS_FILE || join(__dirname, "../config/webhooks.json"),
+  (file) => webhookService.load(file)
+);
+if (process.env.WEBHOOK_RETRY_DELAY_MS) {
+  webhookService.configure({
+    retryDelayMs: Number(process.env.WEBHOOK_RETRY_DELAY_MS),
+  });
+}
+// Self-hosted receivers on the local network (the API is open to rooms)
+if (process.env.WEBHOOK_ALLOW_PRIVATE === "1") {
+  webhookService.configure({ allowPrivateUrls: true });
+}
+
+// Language, command words and game settings per room (edited through the API)
+loadDataFile(
+  process.env.ROOM_SETTINGS_FILE ||
+    join(__dirname, "../config/room-settings.json"),
+  (file) => roomSettingsService.load(file)
+);
+
+// Room tokens (overlay token + control key per room).
+// ADMIN_KEY enables the admin API (/api/admin/*).
+loadDataFile(
+  process.env.ROOM_AUTH_FILE || join(__dirname, "../config/room-auth.json"),
+  (file) => roomAuthService.load(file)
+);
+roomAuthService.configure({
+  adminKey: process.env.ADMIN_KEY || undefined,
+});
 
 // ==========================================
 // MIDDLEWARE & STATIC FILES
@@ -51,6 +306,53 @@ app.use(express.json());
 // API ROUTES
 // ==========================================
 
+/**
+ * Get the control key sent with a REST request
+ * Accepted as "X-Room-Key: <key>" or "Authorization: Bearer <key>".
+ *
+ * @param {import('express').Request} req
+ * @returns {string|undefined}
+ */
+function getControlKey(req) {
+  const bearer = /^Bearer (.+)$/i.exec(req.get("authorization") || "");
+  return req.get("x-room-key") || bearer?.[1];
+}
+
+/**
+ * Middleware: reject control requests without the room's control key
+ * Control = anything that changes a room (replay, moderation, config).
+ */
+function requireRoomControl(req, res, next) {
+  const room = req.params.room.toLowerCase().trim();
+
+  if (!roomAuthService.canControl(room, getControlKey(req))) {
+    return res.status(401).json({
+      error: roomAuthService.isClaimed(room)
+        ? `Invalid control key for room: ${room}`
+        : `Room ${room} is not claimed. Claim it first: POST /api/rooms/${room}/claim`,
+    });
+  }
+  next();
+}
+
+/**
+ * Middleware: reject admin requests without the admin key
+ * Accepted as "X-Admin-Key: <key>" or "Authorization: Bearer <key>".
+ */
+function requireAdmin(req, res, next) {
+  if (!roomAuthService.hasAdminKey()) {
+    return res
+      .status(403)
+      .json({ error: "Admin API is disabled. Set ADMIN_KEY to enable it" });
+  }
+
+  const bearer = /^Bearer (.+)$/i.exec(req.get("authorization") || "");
+  if (!roomAuthService.isAdmin(req.get("x-admin-key") || bearer?.[1])) {
+    return res.status(401).json({ error: "Invalid admin key" });
+  }
+  next();
+}
+
 /**
  * Health check endpoint
  * @route GET /api/health
@@ -71,12 +373,939 @@ app.get("/api/stats", (req, res) => {
   res.json(tiktokService.getStats());
 });
 
+// Socket.io metrics (TikTok metrics are defined by TikTokService)
+metricsService.define(
+  "socketio_connections_total",
+  "counter",
+  "Socket.io connections accepted"
+);
+metricsService.define(
+  "socketio_client_events_total",
+  "counter",
+  "Events received from Socket.io clients, by event"
+);
+metricsService.define(
+  "socketio_clients",
+  "gauge",
+  "Connected Socket.io clients"
+);
+metricsService.addCollector(() =>
+  metricsService.set("socketio_clients", {}, io.engine.clientsCount)
+);
+
+/**
+ * Metrics in the Prometheus text format
+ * Set METRICS_TOKEN to require "Authorization: Bearer <token>".
+ * @route GET /metrics
+ */
+app.get("/metrics", (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get("Authorization") !== `Bearer ${token}`) {
+    return res.status(401).json({ error: "Invalid metrics token" });
+  }
+
+  res
+    .type("text/plain; version=0.0.4; charset=utf-8")
+    .send(metricsService.render());
+});
+
+/**
+ * Claim a room (first time) or rotate its tokens (with the control key)
+ * Returns plain-text tokens ONCE: overlayToken goes into the overlay URL,
+ * controlKey stays with the streamer.
+ * @route POST /api/rooms/:room/claim
+ */
+app.post("/api/rooms/:room/claim", async (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+  const controlKey = getControlKey(req);
+
+  if (
+    roomAuthService.isClaimed(room) &&
+    !roomAuthService.canControl(room, controlKey)
+  ) {
+    return res.status(409).json({
+      error: `Room ${room} is already claimed. Use its control key to rotate tokens.`,
+    });
+  }
+
+  try {
+    res.json(await roomAuthService.claim(room, controlKey));
+  } catch (error) {
+    log.error("Cannot claim room", { room, error: error.message });
+    res.status(500).json({ error: "Cannot save the room tokens" });
+  }
+});
+
+/**
+ * Release a claimed room
+ * @route DELETE /api/rooms/:room/claim
+ */
+app.delete("/api/rooms/:room/claim", requireRoomControl, async (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+
+  try {
+    await roomAuthService.release(room);
+  } catch (error) {
+    log.error("Cannot release room", { room, error: error.message });
+    return res.status(500).json({ error: "Cannot save the room tokens" });
+  }
+  res.json({ status: "ok" });
+});
+
+/**
+ * Get a room's event source, or one streamer's in a collab room
+ * @param {string} room - Room ID
+ * @param {string} [streamer] - Member room ID, for collab rooms
+ * @returns {import('./services/sources/EventSource.js').default|null}
+ */
+function getRoomSource(room, streamer) {
+  const source = tiktokService.getSource(room);
+  if (source?.type === "collab") {
+    return typeof streamer === "string"
+      ? source.getMember(streamer.toLowerCase().trim())
+      : null;
+  }
+  return source;
+}
+
+/**
+ * Push a fake event into a mock room
+ * Body: { type: "chat"|"gift"|"like"|"share"|"end", user, ...fields }
+ * (collab rooms: plus `streamer`, the mock member's room ID)
+ * @route POST /api/mock/:room/events
+ */
+app.post("/api/mock/:room/events", requireRoomControl, (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+  const source = getRoomSource(room, req.body?.streamer);
+
+  if (!source || source.type !== "mock") {
+    return res.status(404).json({ error: `No mock source for room: ${room}` });
+  }
+  if (!MOCK_EVENT_TYPES.includes(req.body?.type)) {
+    return res.status(400).json({
+      error: `type must be one of: ${MOCK_EVENT_TYPES.join(", ")}`,
+    });
+  }
+
+  try {
+    source.push(req.body);
+    res.json({ status: "ok" });
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
+/**
+ * Largest batch of ingested events per request / WebSocket message
+ */
+const MAX_INGEST_BATCH = 100;
+
+/**
+ * Push ingested events into a room's IngestSource
+ * Shared by the REST route and the ingest WebSocket. A batch is validated
+ * as a whole before any event is emitted.
+ *
+ * @param {string} room - Room ID ("ingest:<name>")
+ * @param {Object|Object[]} body - One event or a batch
+ * @param {string} [streamer] - Ingest member of a collab room
+ * @returns {number} Events emitted
+ * @throws {Error} With `status`: 404 no ingest source, 400 invalid, 409
+ *   not connected
+ */
+function ingestEvents(room, body, streamer) {
+  const fail = (status, message) =>
+    Object.assign(new Error(message), { status });
+
+  const source = getRoomSource(room, streamer);
+  if (!source || source.type !== "ingest") {
+    throw fail(404, `No ingest source for room: ${room}`);
+  }
+
+  const events = Array.isArray(body) ? body : [body];
+  if (events.length > MAX_INGEST_BATCH) {
+    throw fail(400, `At most ${MAX_INGEST_BATCH} events per batch`);
+  }
+  events.forEach((event, i) => {
+    try {
+      source.validate(event);
+    } catch (error) {
+      throw fail(
+        400,
+        events.length > 1 ? `[${i}] ${error.message}` : error.message
+      );
+    }
+  });
+
+  try {
+    events.forEach((event) => source.push(event));
+  } catch (error) {
+    throw fail(409, error.message);
+  }
+  return events.length;
+}
+
+/**
+ * Push events into an ingest room (other platforms, bots...)
+ * Body: one event or an array, e.g. { type: "chat", platform, user, comment }
+ * (see src/services/sources/IngestSource.js). Collab rooms: ?streamer= names
+ * the ingest member
+ * @route POST /api/ingest/:room/events
+ */
+app.post("/api/ingest/:room/events", requireRoomControl, (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+
+  try {
+    const count = ingestEvents(room, req.body, req.query.streamer);
+    res.json({ status: "ok", count });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
+
+/**
+ * List a room's recorded session files
+ * Recordings hold viewer IDs and chat, so only the room's controller sees them.
+ * @route GET /api/recordings/:room
+ */
+app.get("/api/recordings/:room", requireRoomControl, async (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+  try {
+    res.json({
+      active: sessionRecorder.getStatus(room),
+      files: await sessionRecorder.listRecordings(room),
+    });
+  } catch (error) {
+    log.error("Cannot list recordings", { room, error: error.message });
+    res.status(500).json({ error: "Cannot list the recordings" });
+  }
+});
+
+/**
+ * Start recording a room
+ * Body (optional): { maxBytes, rotateOnSession }
+ * @route POST /api/recordings/:room/start
+ */
+app.post("/api/recordings/:room/start", requireRoomControl, (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+  const { maxBytes, rotateOnSession } = req.body || {};
+
+  if (maxBytes !== undefined && !(Number(maxBytes) > 0)) {
+    return res
+      .status(400)
+      .json({ error: "maxBytes must be a positive number" });
+  }
+
+  try {
+    res.json(
+      sessionRecorder.start(room, {
+        maxBytes: maxBytes && Number(maxBytes),
+        rotateOnSession:
+          rotateOnSession === undefined ? undefined : Boolean(rotateOnSession),
+      })
+    );
+  } catch (error) {
+    log.error("Cannot start recording", { room, error: error.message });
+    res.status(500).json({ error: "Cannot start the recording" });
+  }
+});
+
+/**
+ * Stop recording a room
+ * @route POST /api/recordings/:room/stop
+ */
+app.post("/api/recordings/:room/stop", requireRoomControl, async (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+
+  let status;
+  try {
+    status = await sessionRecorder.stop(room);
+  } catch (error) {
+    log.error("Cannot stop recording", { room, error: error.message });
+    return res.status(500).json({ error: "Cannot stop the recording" });
+  }
+  if (!status) {
+    return res.status(404).json({ error: `Room is not recording: ${room}` });
+  }
+  res.json(status);
+});
+
+/**
+ * Run a replay command against a room
+ * Shared by the REST routes and the "replay-control" socket event.
+ *
+ * @param {string} room - Target room ID
+ * @param {{action: string, file?: string, speed?: number|string, position?: number, offsetMs?: number, paused?: boolean}} command
+ * @returns {Promise<Object|null>} Replay status
+ */
+async function runReplayCommand(room, command) {
+  switch (command.action) {
+    case "start":
+      if (!command.file) throw new Error("start requires a file");
+      return replayService.start(io, room, command.file, {
+        speed: command.speed,
+        paused: command.paused,
+      });
+    case "pause":
+      return replayService.pause(room);
+    case "resume":
+      return replayService.resume(room);
+    case "step":
+      return replayService.step(room);
+    case "seek":
+      return replayService.seek(room, {
+        position: command.position,
+        offsetMs: command.offsetMs,
+      });
+    case "speed":
+      return replayService.setSpeed(room, command.speed);
+    case "stop":
+      return replayService.stop(room);
+    case "status":
+      return replayService.getStatus(room);
+    default:
+      throw new Error(`Unknown replay action: ${command.action}`);
+  }
+}
+
+/**
+ * Get replay status of a room
+ * @route GET /api/replay/:room
+ */
+app.get("/api/replay/:room", (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+  res.json(replayService.getStatus(room));
+});
+
+/**
+ * Control a replay: start, pause, resume, step, seek, speed, stop
+ * Body: { file, speed, position, offsetMs, paused } depending on action
+ * @route POST /api/replay/:room/:action
+ */
+app.post("/api/replay/:room/:action", requireRoomControl, async (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+
+  try {
+    const status = await runReplayCommand(room, {
+      ...req.body,
+      action: req.params.action,
+    });
+    res.json(status);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * List chat commands understood by the server
+ * @route GET /api/commands
+ */
+app.get("/api/commands", (req, res) => {
+  res.json(commandRouter.list());
+});
+
+/**
+ * Get chat command rate limits of a room
+ * @route GET /api/rooms/:room/throttle
+ */
+app.get("/api/rooms/:room/throttle", (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+  res.json(commandThrottle.getOptions(room));
+});
+
+/**
+ * Change chat command rate limits of a room (partial update)
+ * Body: { user: {ratePerSec, burst}, room: {ratePerSec, burst},
+ *         duplicateWindowMs, cooldowns: {command: ms}, notifyIntervalMs }
+ * @route PUT /api/rooms/:room/throttle
+ */
+app.put("/api/rooms/:room/throttle", requireRoomControl, (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+
+  try {
+    res.json(commandThrottle.setOptions(room, req.body));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Get the settings of a room (defaults included)
+ * @route GET /api/rooms/:room/settings
+ */
+app.get("/api/rooms/:room/settings", (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+  res.json(roomSettingsService.get(room));
+});
+
+/**
+ * Change the settings of a room (partial update), pushed to its overlays
+ * Body: { language, commands: {command: [words]}, games: {game: {key: value}} }
+ * @route PUT /api/rooms/:room/settings
+ */
+app.put("/api/rooms/:room/settings", requireRoomControl, async (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+
+  let settings;
+  try {
+    settings = await roomSettingsService.update(room, req.body);
+  } catch (error) {
+    if (!error.saveFailed) {
+      return res.status(400).json({ error: error.message });
+    }
+    log.error("Cannot update room settings", { room, error: error.message });
+    return res.status(500).json({ error: "Cannot save the room settings" });
+  }
+  io.to(room).emit("room_settings", settings);
+  res.json(settings);
+});
+
+/**
+ * Restore the default settings of a room, pushed to its overlays
+ * @route DELETE /api/rooms/:room/settings
+ */
+app.delete(
+  "/api/rooms/:room/settings",
+  requireRoomControl,
+  async (req, res) => {
+    const room = req.params.room.toLowerCase().trim();
+
+    let reset;
+    try {
+      reset = await roomSettingsService.reset(room);
+    } catch (error) {
+      log.error("Cannot reset room settings", { room, error: error.message });
+      return res.status(500).json({ error: "Cannot save the room settings" });
+    }
+    const settings = roomSettingsService.get(room);
+    if (reset) io.to(room).emit("room_settings", settings);
+    res.json(settings);
+  }
+);
+
+/**
+ * Get the gift catalog of a room (defaults + room overrides)
+ * @route GET /api/gifts/:room
+ */
+app.get("/api/gifts/:room", (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+  res.json(giftCatalog.getCatalog(room));
+});
+
+/**
+ * Add or replace a gift override for a room
+ * Body: { tier, points?, action? }
+ * @route PUT /api/gifts/:room/:gift
+ */
+app.put("/api/gifts/:room/:gift", requireRoomControl, async (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+
+  let entry;
+  try {
+    entry = giftCatalog.setEntry(room, req.params.gift, req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  try {
+    await giftCatalog.save();
+  } catch (error) {
+    log.error("Cannot save gift catalog", { room, error: error.message });
+    return res.status(500).json({ error: "Cannot save the gift catalog" });
+  }
+  res.json(entry);
+});
+
+/**
+ * Remove a gift override from a room
+ * @route DELETE /api/gifts/:room/:gift
+ */
+app.delete("/api/gifts/:room/:gift", requireRoomControl, async (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+
+  if (!giftCatalog.removeEntry(room, req.params.gift)) {
+    return res.status(404).json({ error: "Gift override not found" });
+  }
+  try {
+    await giftCatalog.save();
+  } catch (error) {
+    log.error("Cannot save gift catalog", { room, error: error.message });
+    return res.status(500).json({ error: "Cannot save the gift catalog" });
+  }
+  res.json({ status: "ok" });
+});
+
+/**
+ * Run a moderation command against a room
+ * Shared by the REST routes and the "moderation-control" socket event.
+ *
+ * @param {string} room - Room ID
+ * @param {{action: string, uniqueId?: string, durationMs?: number, words?: string[]}} command
+ * @returns {Promise<Object>} Moderation status of the room
+ * @throws {Error} When invalid, or when the change cannot be saved
+ *   (`error.saveFailed`)
+ */
+async function runModerationCommand(room, command) {
+  const { action, uniqueId, durationMs, words } = command;
+
+  switch (action) {
+    case "mute":
+      moderationService.mute(room, uniqueId, durationMs);
+      break;
+    case "unmute":
+      moderationService.unmute(room, uniqueId);
+      break;
+    case "block":
+      await moderationService.block(room, uniqueId);
+      break;
+    case "unblock":
+      await moderationService.unblock(room, uniqueId);
+      break;
+    case "banned-words":
+      await moderationService.setBannedWords(room, words);
+      break;
+    case "status":
+      break;
+    default:
+      throw new Error(`Unknown moderation action: ${action}`);
+  }
+
+  return moderationService.getStatus(room);
+}
+
+/**
+ * Get moderation state of a room (blocked, muted, banned words)
+ * @route GET /api/moderation/:room
+ */
+app.get("/api/moderation/:room", (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+  res.json(moderationService.getStatus(room));
+});
+
+/**
+ * Moderate a room: mute, unmute, block, unblock, banned-words
+ * Body: { uniqueId, durationMs? } or { words: [] } for banned-words
+ * @route POST /api/moderation/:room/:action
+ */
+app.post(
+  "/api/moderation/:room/:action",
+  requireRoomControl,
+  async (req, res) => {
+    const room = req.params.room.toLowerCase().trim();
+
+    try {
+      const status = await runModerationCommand(room, {
+        ...req.body,
+        action: req.params.action,
+      });
+      res.json(status);
+    } catch (error) {
+      if (!error.saveFailed) {
+        return res.status(400).json({ error: error.message });
+      }
+      log.error("Cannot save moderation", { room, error: error.message });
+      res.status(500).json({ error: "Cannot save the moderation settings" });
+    }
+  }
+);
+
+/**
+ * List a room's viewers with lifetime stats
+ * @route GET /api/viewers/:room
+ * @query sort - messages, likes, gifts, diamonds, gamesJoined, wins or lastSeen (default)
+ * @query limit - Max viewers (default 50)
+ */
+app.get("/api/viewers/:room", (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+  const limit = Math.min(Number(req.query.limit) || 50, 1000);
+
+  try {
+    res.json(viewerStore.list(room, { sort: req.query.sort, limit }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Get one viewer's lifetime stats
+ * @route GET /api/viewers/:room/:uniqueId
+ */
+app.get("/api/viewers/:room/:uniqueId", (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+  const profile = viewerStore.getProfile(room, req.params.uniqueId);
+
+  if (!profile) {
+    return res
+      .status(404)
+      .json({ error: `Unknown viewer: ${req.params.uniqueId}` });
+  }
+  res.json(profile);
+});
+
+/**
+ * Record a game win for a viewer
+ * @route POST /api/viewers/:room/:uniqueId/wins
+ */
+app.post(
+  "/api/viewers/:room/:uniqueId/wins",
+  requireRoomControl,
+  (req, res) => {
+    const room = req.params.room.toLowerCase().trim();
+    res.json(
+      viewerStore.update(room, { uniqueId: req.params.uniqueId }, { wins: 1 })
+    );
+  }
+);
+
+/**
+ * Forget a viewer
+ * @route DELETE /api/viewers/:room/:uniqueId
+ */
+app.delete("/api/viewers/:room/:uniqueId", requireRoomControl, (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+
+  if (!viewerStore.remove(room, req.params.uniqueId)) {
+    return res
+      .status(404)
+      .json({ error: `Unknown viewer: ${req.params.uniqueId}` });
+  }
+  res.json({ status: "ok" });
+});
+
+/**
+ * Submit a score and tell the room (leaderboard overlays refresh on it)
+ * @param {string} room - Room ID
+ * @param {{game: string, user: {uniqueId: string, nickname?: string}, score: number, mode?: string}} submission
+ * @returns {{game: string, user: Object, scores: Object<string, number>}}
+ */
+function submitScore(room, { game, user: submitted, score, mode }) {
+  // Names come from the game client: masked like live events, and blocked /
+  // muted viewers score nothing
+  const user = submitted && moderationService.moderate(room, submitted);
+  if (submitted && !user) {
+    throw new Error(`Viewer ${submitted.uniqueId} is blocked or muted`);
+  }
+
+  const scores = leaderboardService.submit(room, game, user, score, { mode });
+  const update = {
+    game,
+    user: { uniqueId: user.uniqueId, nickname: user.nickname || user.uniqueId },
+    scores,
+  };
+  tiktokService.emitToRoom(io, room, "leaderboard_update", {
+    ...update,
+    timestamp: Date.now(),
+  });
+  return update;
+}
+
+/**
+ * List the games with leaderboards in a room
+ * @route GET /api/leaderboards/:room
+ */
+app.get("/api/leaderboards/:room", (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+  res.json({
+    games: leaderboardService.listGames(room),
+    windows: LEADERBOARD_WINDOWS,
+  });
+});
+
+/**
+ * Get a ranked leaderboard
+ * @route GET /api/leaderboards/:room/:game
+ * @query window - stream, daily, weekly or alltime (default)
+ * @query limit - Max entries (default 10)
+ */
+app.get("/api/leaderboards/:room/:game", (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+  const limit = Math.min(Number(req.query.limit) || 10, 100);
+
+  try {
+    res.json(
+      leaderboardService.getBoard(
+        room,
+        req.params.game,
+        req.query.window || "alltime",
+        limit
+      )
+    );
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Submit a score (for bots and tools - games use the socket)
+ * Body: { user: { uniqueId, nickname? }, score, mode?: "add" | "best" }
+ * @route POST /api/leaderboards/:room/:game/scores
+ */
+app.post(
+  "/api/leaderboards/:room/:game/scores",
+  requireRoomControl,
+  (req, res) => {
+    const room = req.params.room.toLowerCase().trim();
+
+    try {
+      res.json(submitScore(room, { ...req.body, game: req.params.game }));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * Clear a game's leaderboards
+ * @route DELETE /api/leaderboards/:room/:game
+ * @query window - Only clear this window (optional)
+ */
+app.delete("/api/leaderboards/:room/:game", requireRoomControl, (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+
+  try {
+    leaderboardService.reset(room, req.params.game, req.query.window);
+    res.json({ status: "ok" });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Handle a game report: persist what needs persisting, then forward it to
+ * the other clients of the room (dashboard, stats pages)
+ * @param {import("socket.io").Socket} socket - Reporting client
+ * @param {string} room - Room ID
+ * @param {Object} report - { game, type, data } (see GameReportService)
+ * @returns {Object} Stored report
+ */
+function handleGameReport(socket, room, report) {
+  const validated = gameReportService.validate(report);
+  const { game, type } = validated;
+  let { data } = validated;
+
+  if (type === "score") {
+    submitScore(room, { game, ...data });
+  } else if (type === "win") {
+    // Only the uniqueId comes from the client: the name is the one of the
+    // viewer's live events, and blocked / muted viewers win nothing
+    const { uniqueId } = data.user;
+    if (moderationService.isSilenced(room, uniqueId)) {
+      throw new Error(`Viewer ${uniqueId} is blocked or muted`);
+    }
+    const profile = viewerStore.update(room, { uniqueId }, { wins: 1 });
+    data = { ...data, user: { uniqueId, nickname: profile.nickname } };
+    webhookService.dispatch(room, "game_win", { game, user: data.user });
+  } else if (type === "event") {
+    webhookService.dispatch(room, "game_event", { game, ...data });
+  }
+
+  const entry = gameReportService.record(room, { game, type, data });
+  socket.to(room).emit("game_report", entry);
+  return entry;
+}
+
+/**
+ * Recent game reports of a room
+ * @route GET /api/reports/:room
+ * @query game - Only this game (optional)
+ * @query limit - Max reports (default 50)
+ */
+app.get("/api/reports/:room", (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+  const limit = Math.min(Number(req.query.limit) || 50, 100);
+
+  res.json({
+    states: gameReportService.getStates(room),
+    reports: gameReportService.getRecent(room, {
+      game: req.query.game,
+      limit,
+    }),
+  });
+});
+
+/**
+ * List a room's webhooks (secrets are only shown once, on creation)
+ * @route GET /api/webhooks/:room
+ */
+app.get("/api/webhooks/:room", requireRoomControl, (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+  res.json({ events: WEBHOOK_EVENTS, webhooks: webhookService.list(room) });
+});
+
+/**
+ * Add a webhook
+ * Body: { url, events?: ["stream_end", "top_gifter", ...] | ["*"],
+ *         format?: "json" | "discord", secret? }
+ * @route POST /api/webhooks/:room
+ */
+app.post("/api/webhooks/:room", requireRoomControl, async (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+
+  try {
+    res.status(201).json(await webhookService.add(room, req.body || {}));
+  } catch (error) {
+    if (!error.saveFailed) {
+      return res.status(400).json({ error: error.message });
+    }
+    log.error("Cannot add webhook", { room, error: error.message });
+    res.status(500).json({ error: "Cannot save the webhooks" });
+  }
+});
+
+/**
+ * Recent deliveries of a room's webhooks
+ * @route GET /api/webhooks/:room/deliveries
+ * @query limit - Max deliveries (default 50)
+ */
+app.get("/api/webhooks/:room/deliveries", requireRoomControl, (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+  const limit = Math.min(Number(req.query.limit) || 50, 100);
+  res.json({ deliveries: webhookService.getDeliveries(room, limit) });
+});
+
+/**
+ * Send a "ping" event to a webhook
+ * @route POST /api/webhooks/:room/:id/test
+ */
+app.post("/api/webhooks/:room/:id/test", requireRoomControl, (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+  const delivery = webhookService.test(room, req.params.id);
+
+  if (!delivery) {
+    return res.status(404).json({ error: `Unknown webhook: ${req.params.id}` });
+  }
+  res.json(delivery);
+});
+
+/**
+ * Remove a webhook
+ * @route DELETE /api/webhooks/:room/:id
+ */
+app.delete("/api/webhooks/:room/:id", requireRoomControl, async (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+
+  let removed;
+  try {
+    removed = await webhookService.remove(room, req.params.id);
+  } catch (error) {
+    log.error("Cannot remove webhook", { room, error: error.message });
+    return res.status(500).json({ error: "Cannot save the webhooks" });
+  }
+  if (!removed) {
+    return res.status(404).json({ error: `Unknown webhook: ${req.params.id}` });
+  }
+  res.json({ status: "ok" });
+});
+
+/**
+ * Recent log entries of a room (newest first)
+ * @route GET /api/logs/:room
+ * @query level - Lowest level: debug (default), info, warn or error
+ * @query limit - Max entries (default 100)
+ */
+app.get("/api/logs/:room", requireRoomControl, (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+  const limit = Math.min(Number(req.query.limit) || 100, 200);
+
+  try {
+    res.json({
+      entries: logger.getTail(room, { level: req.query.level, limit }),
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ==========================================
+// ADMIN ROUTES (ADMIN_KEY)
+// ==========================================
+
+/**
+ * List rooms with their connection state, clients and recent errors
+ * @route GET /api/admin/rooms
+ */
+app.get("/api/admin/rooms", requireAdmin, (req, res) => {
+  res.json({
+    node: tiktokService.coordinator.nodeId,
+    inactivityTimeoutMs: tiktokService.options.inactivityTimeoutMs,
+    rooms: tiktokService.listRooms(),
+  });
+});
+
+/**
+ * Get one room's connection state
+ * @route GET /api/admin/rooms/:room
+ */
+app.get("/api/admin/rooms/:room", requireAdmin, (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+  const details = tiktokService.getRoomDetails(room);
+
+  if (!details) {
+    return res.status(404).json({ error: `Unknown room: ${room}` });
+  }
+  res.json(details);
+});
+
+/**
+ * Close a room's live connection (clients get "tiktok_disconnected" with
+ * reason "admin" and stay in the room)
+ * @route POST /api/admin/rooms/:room/disconnect
+ */
+app.post("/api/admin/rooms/:room/disconnect", requireAdmin, (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+
+  if (!tiktokService.getSource(room)) {
+    return res.status(404).json({ error: `No connection for room: ${room}` });
+  }
+  tiktokService.closeConnection(io, room, "admin");
+  res.json({ status: "ok" });
+});
+
+/**
+ * Reopen a room's live connection (new session)
+ * @route POST /api/admin/rooms/:room/reconnect
+ */
+app.post("/api/admin/rooms/:room/reconnect", requireAdmin, async (req, res) => {
+  const room = req.params.room.toLowerCase().trim();
+
+  try {
+    const connected = await tiktokService.forceReconnect(io, room);
+    res.json({ connected, room: tiktokService.getRoomDetails(room) });
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
+/**
+ * Change server settings at runtime
+ * Body: { inactivityTimeoutMs }
+ * @route PUT /api/admin/settings
+ */
+app.put("/api/admin/settings", requireAdmin, (req, res) => {
+  try {
+    tiktokService.configure({
+      inactivityTimeoutMs: req.body?.inactivityTimeoutMs,
+    });
+    res.json({
+      inactivityTimeoutMs: tiktokService.options.inactivityTimeoutMs,
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // ==========================================
 // SOCKET.IO - REALTIME CONNECTION HANDLING
 // ==========================================
 
 io.on("connection", (socket) => {
-  console.log(`[Socket] Client connected: ${socket.id}`);
+  log.debug("Client connected", { socket: socket.id });
+  metricsService.increment("socketio_connections_total");
+
+  // Count handled events only (unknown names would add a series each)
+  socket.onAny((event) => {
+    metricsService.increment("socketio_client_events_total", {
+      event: socket.listeners(event).length > 0 ? event : "unknown",
+    });
+  });
 
   /**
    * JOIN ROOM HANDLER
@@ -85,8 +1314,17 @@ io.on("connection", (socket) => {
    * - Each client joins a room based on streamer's username
    * - Client only receives events from their subscribed streamer
    * - Ensures data isolation between different streamers
+   *
+   * Payload: "username" or { room, token, lastSeq?, epoch? }
+   * - token = overlay token (read-only) or control key (control client)
+   * - Claimed rooms reject joins without a valid token ("auth_error")
+   * - lastSeq/epoch (from earlier events and "room-joined") resend the
+   *   buffered events the client missed, before any new event
    */
-  socket.on("join-room", async (username) => {
+  socket.on("join-room", async (payload) => {
+    const username = typeof payload === "string" ? payload : payload?.room;
+    const token = typeof payload === "string" ? undefined : payload?.token;
+
     // Validate username
     if (!username || typeof username !== "string") {
       socket.emit("error", { message: "Invalid username" });
@@ -96,12 +1334,51 @@ io.on("connection", (socket) => {
     // Normalize username (lowercase, trimmed)
     const normalizedUsername = username.toLowerCase().trim();
 
-    // Store username in socket instance for disconnect handling
+    // Check the room token before connecting to the live
+    const role = roomAuthService.getRole(normalizedUsername, token);
+    if (!role) {
+      socket.emit("auth_error", {
+        action: "join-room",
+        room: normalizedUsername,
+        message: roomAuthService.isClaimed(normalizedUsername)
+          ? `Invalid token for room: ${normalizedUsername}`
+          : `Room ${normalizedUsername} must be claimed from the dashboard first`,
+      });
+      return;
+    }
+
+    // Store username and role in socket instance (disconnect + auth checks)
     socket.tiktokUsername = normalizedUsername;
+    socket.roomRole = role;
 
     // Join Socket.io room
     socket.join(normalizedUsername);
-    console.log(`[Socket] ${socket.id} joined room: ${normalizedUsername}`);
+    log.info("Client joined room", {
+      room: normalizedUsername,
+      socket: socket.id,
+      role,
+    });
+
+    // Settings first, so the overlay is configured before any event
+    socket.emit("room_settings", roomSettingsService.get(normalizedUsername));
+
+    // Resend missed events (same tick as join: nothing can slip in between).
+    // The backlog is per process: a follower has none of the owner's events
+    let resumed;
+    if (
+      Number.isInteger(payload?.lastSeq) &&
+      tiktokService.isFollowing(normalizedUsername)
+    ) {
+      resumed = { count: 0, complete: false };
+    } else if (Number.isInteger(payload?.lastSeq)) {
+      const { events, complete } = roomEventBuffer.getSince(
+        normalizedUsername,
+        payload.lastSeq,
+        payload.epoch
+      );
+      events.forEach(({ event, data }) => socket.emit(event, data));
+      resumed = { count: events.length, complete };
+    }
 
     // Update room client tracking
     tiktokService.addClientToRoom(normalizedUsername);
@@ -112,6 +1389,10 @@ io.on("connection", (socket) => {
       if (connected) {
         socket.emit("room-joined", {
           room: normalizedUsername,
+          role,
+          epoch: roomEventBuffer.epoch,
+          seq: roomEventBuffer.getLastSeq(normalizedUsername),
+          resumed,
           message: `Joined room: ${normalizedUsername}`,
         });
       } else {
@@ -120,7 +1401,10 @@ io.on("connection", (socket) => {
         });
       }
     } catch (error) {
-      console.error(`[Socket] Error connecting to TikTok: ${error.message}`);
+      log.error("Cannot connect room", {
+        room: normalizedUsername,
+        error: error.message,
+      });
       socket.emit("connection-error", {
         message: error.message,
       });
@@ -135,7 +1419,10 @@ io.on("connection", (socket) => {
       const normalizedUsername = username.toLowerCase().trim();
       socket.leave(normalizedUsername);
       tiktokService.removeClientFromRoom(normalizedUsername);
-      console.log(`[Socket] ${socket.id} left room: ${normalizedUsername}`);
+      log.info("Client left room", {
+        room: normalizedUsername,
+        socket: socket.id,
+      });
     }
   });
 
@@ -146,13 +1433,154 @@ io.on("connection", (socket) => {
    * If room is empty for too long, TikTokService will auto-disconnect.
    */
   socket.on("disconnect", () => {
-    console.log(`[Socket] Client disconnected: ${socket.id}`);
+    log.debug("Client disconnected", {
+      room: socket.tiktokUsername,
+      socket: socket.id,
+    });
 
     if (socket.tiktokUsername) {
       tiktokService.removeClientFromRoom(socket.tiktokUsername);
     }
   });
 
+  /**
+   * Target room of a control command: its `room`, else the joined room
+   * @param {import('socket.io').Socket} socket
+   * @param {{room?: string}} command - Control payload
+   * @returns {string} Normalized room ID ("" when missing or not a string)
+   */
+  function getCommandRoom(socket, command) {
+    const room = command?.room || socket.tiktokUsername;
+    return typeof room === "string" ? room.toLowerCase().trim() : "";
+  }
+
+  /**
+   * Check that a socket may run control actions in a room
+   * Allowed when the socket joined that room with the control key, or the
+   * command carries it ({ token }). Otherwise emits "auth_error".
+   *
+   * @param {import('socket.io').Socket} socket
+   * @param {string} room - Target room
+   * @param {{token?: string}} command - Control payload
+   * @param {string} action - Socket event name (for the error)
+   * @returns {boolean}
+   */
+  function authorizeControl(socket, room, command, action) {
+    const joinedAsControl =
+      socket.tiktokUsername === room && socket.roomRole === "control";
+
+    if (joinedAsControl || roomAuthService.canControl(room, command.token)) {
+      return true;
+    }
+
+    socket.emit("auth_error", {
+      action,
+      room,
+      message: roomAuthService.isClaimed(room)
+        ? `Control key required for room: ${room}`
+        : `Room ${room} is not claimed. Claim it from the dashboard first`,
+    });
+    return false;
+  }
+
+  /**
+   * GAME REPORT HANDLER
+   * Payload: { game, type: "state" | "event" | "score" | "win", data }
+   * Any client of the room may report (games run with the overlay token).
+   */
+  socket.on("game-report", (report) => {
+    const room = socket.tiktokUsername;
+
+    if (!room) {
+      socket.emit("game_report_error", { message: "Join a room first" });
+      return;
+    }
+
+    try {
+      handleGameReport(socket, room, report);
+    } catch (error) {
+      socket.emit("game_report_error", {
+        game: report?.game,
+        type: report?.type,
+        message: error.message,
+      });
+    }
+  });
+
+  /**
+   * LEADERBOARD SCORE HANDLER
+   * Payload: { game, user: { uniqueId, nickname? }, score, mode? }
+   * Any client of the room may submit (games run with the overlay token).
+   */
+  socket.on("leaderboard-score", (submission) => {
+    const room = socket.tiktokUsername;
+
+    if (!room) {
+      socket.emit("leaderboard_error", { message: "Join a room first" });
+      return;
+    }
+
+    try {
+      submitScore(room, submission || {});
+    } catch (error) {
+      socket.emit("leaderboard_error", { message: error.message });
+    }
+  });
+
+  /**
+   * REPLAY CONTROL HANDLER
+   * Payload: { room?, action, file?, speed?, position?, offsetMs?, token? }
+   * Defaults to the socket's own room. Status is sent back via
+   * "replay_status" (never to the room, so games don't see it).
+   */
+  socket.on("replay-control", async (command) => {
+    try {
+      const room = getCommandRoom(socket, command);
+      if (!room || typeof command?.action !== "string") {
+        socket.emit("replay_error", { message: "Invalid replay command" });
+        return;
+      }
+      if (!authorizeControl(socket, room, command, "replay-control")) return;
+
+      const status = await runReplayCommand(room, command);
+      socket.emit("replay_status", status);
+    } catch (error) {
+      socket.emit("replay_error", { message: error.message });
+    }
+  });
+
+  /**
+   * MODERATION HANDLER
+   * Payload: { room?, action, uniqueId?, durationMs?, words?, token? }
+   * Lets the streamer mute/unmute viewers mid-stream.
+   */
+  socket.on("moderation-control", async (command) => {
+    try {
+      const room = getCommandRoom(socket, command);
+      if (!room || typeof command?.action !== "string") {
+        socket.emit("moderation_error", {
+          message: "Invalid moderation command",
+        });
+        return;
+      }
+      if (!authorizeControl(socket, room, command, "moderation-control")) {
+        return;
+      }
+
+      const status = await runModerationCommand(room, command);
+      socket.emit("moderation_status", { room, ...status });
+    } catch (error) {
+      if (!error.saveFailed) {
+        socket.emit("moderation_error", { message: error.message });
+        return;
+      }
+      log.error("Cannot save moderation", { error: error.message });
+      socket.emit("moderation_error", {
+        message: "Cannot save the moderation settings",
+      });
+    }
+  });
+
   /**
    * Debug: Ping-pong for connection testing
    */
@@ -161,29 +1589,156 @@ io.on("connection", (socket) => {
   });
 });
 
+// ==========================================
+// INGEST WEBSOCKET
+// ==========================================
+
+/**
+ * WebSocket twin of POST /api/ingest/:room/events, for long-running bots:
+ * ws://host/api/ingest/<room> with the control key ("X-Room-Key",
+ * "Authorization: Bearer" or ?key=, plus ?streamer= in collab rooms). Each
+ * text message is one event or a batch (JSON); rejected messages are
+ * answered with { error }.
+ */
+const ingestServer = new WebSocketServer({
+  noServer: true,
+  maxPayload: 256 * 1024,
+});
+
+/**
+ * Answer a refused WebSocket upgrade and close the socket
+ * @param {import('net').Socket} socket
+ * @param {string} status - e.g. "401 Unauthorized"
+ */
+function rejectUpgrade(socket, status) {
+  socket.once("finish", () => socket.destroy());
+  socket.end(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+}
+
+server.on("upgrade", (req, socket, head) => {
+  let url;
+  try {
+    url = new URL(req.url, "http://localhost");
+  } catch (error) {
+    return rejectUpgrade(socket, "400 Bad Request");
+  }
+  const match = /^\/api\/ingest\/([^/]+)$/.exec(url.pathname);
+  if (!match) return; // Socket.io upgrades
+
+  let room;
+  try {
+    room = decodeURIComponent(match[1]).toLowerCase().trim();
+  } catch (error) {
+    return rejectUpgrade(socket, "400 Bad Request");
+  }
+
+  const { searchParams } = url;
+  const bearer = /^Bearer (.+)$/i.exec(req.headers.authorization || "");
+  const key =
+    req.headers["x-room-key"] || bearer?.[1] || searchParams.get("key");
+  if (!roomAuthService.canControl(room, key)) {
+    return rejectUpgrade(socket, "401 Unauthorized");
+  }
+
+  ingestServer.handleUpgrade(req, socket, head, (ws) => {
+    log.info("Ingest client connected", { room });
+
+    ws.on("message", (message, isBinary) => {
+      try {
+        if (isBinary) throw new Error("Messages must be JSON text");
+        let body;
+        try {
+          body = JSON.parse(message.toString());
+        } catch (error) {
+          throw new Error("Messages must be JSON text");
+        }
+        ingestEvents(room, body, searchParams.get("streamer") || undefined);
+      } catch (error) {
+        ws.send(JSON.stringify({ error: error.message }));
+      }
+    });
+
+    ws.on("close", () => log.info("Ingest client disconnected", { room }));
+  });
+});
+
 // ==========================================
 // START SERVER
 // ==========================================
 
 server.listen(PORT, () => {
-  console.log(`
-    TikTok Live Games - Open Source Platform
-    Server running at: → http://localhost:${PORT}
-    `);
+  log.info("TikTok Live Games - Open Source Platform", {
+    url: `http://localhost:${PORT}`,
+  });
 });
 
-// Graceful shutdown handler
-process.on("SIGINT", () => {
-  console.log("\n[Server] Shutting down...");
+/**
+ * Graceful shutdown (SIGTERM from container platforms, SIGINT from Ctrl+C)
+ * 1. Tell every client of this process ("server_restarting"); overlays
+ *    reconnect and rejoin on their own once a server is back
+ * 2. Stop recordings, flush the stores with pending writes and finish
+ *    pending webhook deliveries
+ * 3. Close upstream connections, client connections and the HTTP server
+ * 4. Free this process' leases so other processes take the rooms over
+ * Exits with code 1 when this takes longer than server.shutdownTimeoutMs,
+ * or right away on a second signal.
+ *
+ * @param {string} signal - Signal received
+ * @returns {Promise<void>}
+ */
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) {
+    log.warn("Second signal, exiting now", { signal });
+    process.exit(1);
+  }
+  shuttingDown = true;
+
+  const timeoutMs = config.server.shutdownTimeoutMs;
+  log.info("Shutting down...", { signal, timeoutMs });
+  setTimeout(() => {
+    log.error("Shutdown timed out, exiting", { timeoutMs });
+    process.exit(1);
+  }, timeoutMs).unref();
+
+  configService.unwatch();
+
+  // Local clients only: other processes keep serving theirs
+  io.local.emit("server_restarting", { timestamp: Date.now() });
+
+  // Flush open recordings, pending viewer stats / scores and webhook
+  // deliveries (bounded by the webhook timeout, within timeoutMs)
+  const flushes = await Promise.allSettled([
+    sessionRecorder.stopAll(),
+    viewerStore.flush(),
+    leaderboardService.flush(),
+    webhookService.flush(),
+  ]);
+  flushes
+    .filter((result) => result.status === "rejected")
+    .forEach(({ reason }) =>
+      log.error("Cannot flush before exiting", { error: reason.message })
+    );
 
   // Disconnect all TikTok connections
   const stats = tiktokService.getStats();
   stats.connections.forEach((username) => {
-    tiktokService.disconnect(username);
+    tiktokService.disconnect(username, "shutdown");
   });
 
-  server.close(() => {
-    console.log("[Server] Goodbye!");
-    process.exit(0);
-  });
-});
+  // Ingest clients too (1012: service restart, they should retry)
+  ingestServer.clients.forEach((ws) => ws.close(1012, "Server restarting"));
+
+  // Drop client connections (they see a transport error and reconnect)
+  // and stop accepting new ones
+  await new Promise((resolve) => io.close(() => resolve()));
+
+  // Free this process' leases so other processes take the rooms over
+  await coordinator.stop();
+
+  log.info("Goodbye!");
+  process.exit(0);
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
@@ -0,0 +1,416 @@
+/**
+ * CommandRouter.js
+ * Central chat command registry - parses viewer comments into commands
+ *
+ * FEATURES:
+ * - Multi-language aliases: { en: ["hit"], vi: ["đánh"] }
+ * - Arguments: "shoot up" → attack { direction: "up" }, "vote 2" → vote { choice: 2 }
+ * - Diacritic-insensitive: "len" matches "lên", "danh" matches "đánh"
+ * - Whole comments only: the comment must be the alias plus its arguments
+ *   ("hit up" → attack, "hit the boss" → nothing), like exact chat words
+ * - Fuzzy (opt-in): one typo allowed in aliases of 4+ letters
+ *   ("atack" → attack); off by default, as it also reads ordinary words
+ *   ("five" → fire, "coin" → join)
+ * - Shorthand: a bare argument can trigger its command ("up" → move up)
+ * - Per room (see RoomSettingsService): one language only, extra words,
+ *   fuzzy matching
+ *
+ * Parsed commands are emitted by TikTokService as "tiktok_command".
+ *
+ * @module services/CommandRouter
+ */
+
+/**
+ * Direction vocabulary (diacritic-free, all languages)
+ * @type {Object<string, string[]>}
+ */
+const DIRECTIONS = {
+  up: ["up", "len", "tren"],
+  down: ["down", "xuong", "duoi"],
+  left: ["left", "trai"],
+  right: ["right", "phai"],
+};
+
+/**
+ * WASD keys - only accepted as a bare shorthand ("w" alone = move up),
+ * so words like "a" inside sentences are not read as directions
+ * @type {Object<string, string>}
+ */
+const KEY_DIRECTIONS = { w: "up", s: "down", a: "left", d: "right" };
+
+/**
+ * Built-in commands
+ * @type {Array<{name: string, aliases: Object<string, string[]>, args?: Array<{name: string, type: string, required?: boolean}>, shorthand?: boolean}>}
+ */
+export const DEFAULT_COMMANDS = [
+  {
+    name: "join",
+    aliases: { en: ["join", "play"], vi: ["thamgia", "tham gia", "vào"] },
+  },
+  {
+    name: "attack",
+    aliases: {
+      en: ["hit", "attack", "fire", "shoot"],
+      vi: ["đánh", "chém", "bắn"],
+    },
+    args: [{ name: "direction", type: "direction" }],
+  },
+  {
+    name: "move",
+    aliases: { en: ["move", "go"], vi: ["đi"] },
+    args: [{ name: "direction", type: "direction", required: true }],
+    shorthand: true,
+  },
+  {
+    name: "vote",
+    aliases: { en: ["vote"], vi: ["chọn", "bầu"] },
+    args: [{ name: "choice", type: "number", required: true }],
+  },
+];
+
+/**
+ * Lowercase, strip diacritics and punctuation ("Đánh!!" → "danh")
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/đ/g, "d")
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Check whether two words are at most one edit apart
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function withinOneEdit(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return false;
+
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+      continue;
+    }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (a.length < b.length) j++;
+    else {
+      i++;
+      j++;
+    }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+export class CommandRouter {
+  /**
+   * @param {Array} [commands=DEFAULT_COMMANDS] - Initial commands
+   */
+  constructor(commands = DEFAULT_COMMANDS) {
+    /**
+     * Registered commands by name
+     * @type {Map<string, Object>}
+     */
+    this.commands = new Map();
+
+    /**
+     * Alias lookup, longest aliases first
+     * @type {Array<{tokens: string[], command: Object, alias: string, lang: string}>}
+     */
+    this.aliases = [];
+
+    /**
+     * Aliases added on top of registered commands (server config)
+     * @type {Object<string, Object<string, string[]>>}
+     */
+    this.extraAliases = {};
+
+    /**
+     * Alias lookups of room words, by words object (see parse())
+     * @type {WeakMap<Object, Array>}
+     */
+    this.roomAliases = new WeakMap();
+
+    commands.forEach((command) => this.register(command));
+  }
+
+  /**
+   * Register (or replace) a command
+   * @param {{name: string, aliases: Object<string, string[]>|string[], args?: Array, shorthand?: boolean}} command
+   */
+  register(command) {
+    if (!command?.name || typeof command.name !== "string") {
+      throw new Error("Command name is required");
+    }
+
+    // Plain alias arrays are treated as language "default"
+    const aliases = Array.isArray(command.aliases)
+      ? { default: command.aliases }
+      : command.aliases || {};
+
+    this.commands.set(command.name, { ...command, aliases });
+    this.rebuildAliases();
+  }
+
+  /**
+   * Remove a command
+   * @param {string} name - Command name
+   */
+  unregister(name) {
+    this.commands.delete(name);
+    this.rebuildAliases();
+  }
+
+  /**
+   * Replace the extra aliases of registered commands
+   * Extra aliases are added to the command's own aliases, per language.
+   * @param {Object<string, Object<string, string[]>>} extraAliases
+   *   Command name → { lang: aliases }, e.g. { attack: { en: ["pew"] } }
+   * @throws {Error} When a command is not registered
+   */
+  setExtraAliases(extraAliases = {}) {
+    for (const name of Object.keys(extraAliases)) {
+      if (!this.commands.has(name)) throw new Error(`Unknown command: ${name}`);
+    }
+    this.extraAliases = extraAliases;
+    this.rebuildAliases();
+  }
+
+  /**
+   * Get a command's aliases, extra aliases included
+   * @param {Object} command - Registered command
+   * @returns {Object<string, string[]>}
+   */
+  getAliases(command) {
+    const aliases = { ...command.aliases };
+    for (const [lang, extra] of Object.entries(
+      this.extraAliases[command.name] || {}
+    )) {
+      aliases[lang] = [...(aliases[lang] || []), ...extra];
+    }
+    return aliases;
+  }
+
+  /**
+   * List registered commands
+   * @returns {Object[]}
+   */
+  list() {
+    return Array.from(this.commands.values()).map((command) => ({
+      ...command,
+      aliases: this.getAliases(command),
+    }));
+  }
+
+  /**
+   * List the languages of registered aliases
+   * @returns {string[]} e.g. ["en", "vi"] ("default" excluded)
+   */
+  getLanguages() {
+    const languages = new Set(this.aliases.map((entry) => entry.lang));
+    languages.delete("default");
+    return Array.from(languages);
+  }
+
+  /**
+   * Parse a chat comment into a command
+   * @param {string} comment - Raw viewer comment
+   * @param {Object} [options] - Room settings
+   * @param {string|null} [options.lang] - Only match aliases of this language
+   *   (plain alias arrays and room words always match)
+   * @param {Object<string, string[]>} [options.words] - Room words per command
+   *   ({ attack: ["pew"] }), matched before the registered aliases with lang "room"
+   * @param {boolean} [options.fuzzy=false] - Also accept one typo per alias
+   * @returns {{command: string, args: Object, alias: string, lang: string}|null}
+   */
+  parse(comment, { lang = null, words = null, fuzzy = false } = {}) {
+    const tokens = normalizeText(comment).split(" ").filter(Boolean);
+    if (tokens.length === 0) return null;
+
+    const aliases = words
+      ? [...this.getRoomAliases(words), ...this.aliases]
+      : this.aliases;
+
+    // 1. Exact alias match, then fuzzy alias match (if enabled)
+    for (const typo of fuzzy ? [false, true] : [false]) {
+      for (const entry of aliases) {
+        if (lang && ![lang, "default", "room"].includes(entry.lang)) continue;
+        if (!this.matchTokens(tokens, entry.tokens, typo)) continue;
+
+        const args = this.parseArgs(
+          entry.command,
+          tokens.slice(entry.tokens.length)
+        );
+        if (args) {
+          return {
+            command: entry.command.name,
+            args,
+            alias: entry.alias,
+            lang: entry.lang,
+          };
+        }
+      }
+    }
+
+    // 2. Shorthand: the comment is just the first argument ("up", "w")
+    if (tokens.length === 1) {
+      for (const command of this.commands.values()) {
+        if (!command.shorthand || !command.args?.length) continue;
+
+        const [spec] = command.args;
+        const keyDirection =
+          spec.type === "direction" ? KEY_DIRECTIONS[tokens[0]] : null;
+        const args = keyDirection
+          ? { [spec.name]: keyDirection }
+          : this.parseArgs(command, tokens);
+
+        if (args) {
+          return { command: command.name, args, alias: tokens[0], lang: null };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse argument tokens for a command
+   * @param {Object} command - Command definition
+   * @param {string[]} tokens - Tokens after the alias
+   * @returns {Object|null} Parsed args, or null if a required arg is missing
+   *   or tokens are left over (the comment is not just the command)
+   */
+  parseArgs(command, tokens) {
+    const args = {};
+    let index = 0;
+
+    for (const spec of command.args || []) {
+      const value =
+        index < tokens.length ? this.parseValue(spec, tokens, index) : null;
+
+      if (value === null) {
+        if (spec.required) return null;
+        continue;
+      }
+
+      args[spec.name] = value.value;
+      index += value.consumed;
+    }
+
+    return index === tokens.length ? args : null;
+  }
+
+  /**
+   * Parse one argument value
+   * @param {{type: string}} spec - Argument spec
+   * @param {string[]} tokens - All argument tokens
+   * @param {number} index - Current token
+   * @returns {{value: *, consumed: number}|null}
+   */
+  parseValue(spec, tokens, index) {
+    const token = tokens[index];
+
+    switch (spec.type) {
+      case "direction": {
+        const direction = Object.keys(DIRECTIONS).find((d) =>
+          DIRECTIONS[d].includes(token)
+        );
+        return direction ? { value: direction, consumed: 1 } : null;
+      }
+      case "number":
+        return /^-?\d+(\.\d+)?$/.test(token)
+          ? { value: Number(token), consumed: 1 }
+          : null;
+      case "text":
+        return {
+          value: tokens.slice(index).join(" "),
+          consumed: tokens.length,
+        };
+      case "word":
+      default:
+        return { value: token, consumed: 1 };
+    }
+  }
+
+  /**
+   * Check whether a comment starts with an alias
+   * @param {string[]} tokens - Comment tokens
+   * @param {string[]} aliasTokens - Alias tokens
+   * @param {boolean} fuzzy - Allow one typo per alias word of 4+ letters
+   * @returns {boolean}
+   */
+  matchTokens(tokens, aliasTokens, fuzzy) {
+    if (tokens.length < aliasTokens.length) return false;
+
+    return aliasTokens.every((word, i) =>
+      fuzzy && word.length >= 4
+        ? withinOneEdit(word, tokens[i])
+        : word === tokens[i]
+    );
+  }
+
+  /**
+   * Get the alias lookup of a room's words (built once per words object)
+   * @param {Object<string, string[]>} words - Command name → words
+   * @returns {Array} Alias lookup entries, longest first
+   */
+  getRoomAliases(words) {
+    if (!this.roomAliases.has(words)) {
+      const aliases = [];
+      for (const [name, list] of Object.entries(words)) {
+        const command = this.commands.get(name);
+        if (!command) continue; // Unregistered since the words were saved
+        for (const alias of list) {
+          aliases.push(this.createAlias(command, alias, "room"));
+        }
+      }
+      aliases.sort((a, b) => b.tokens.length - a.tokens.length);
+      this.roomAliases.set(words, aliases);
+    }
+    return this.roomAliases.get(words);
+  }
+
+  /**
+   * Create an alias lookup entry
+   * @param {Object} command - Registered command
+   * @param {string} alias - Alias as written
+   * @param {string} lang - Alias language
+   * @returns {{tokens: string[], command: Object, alias: string, lang: string}}
+   */
+  createAlias(command, alias, lang) {
+    return { tokens: normalizeText(alias).split(" "), command, alias, lang };
+  }
+
+  /**
+   * Rebuild the alias lookup table
+   */
+  rebuildAliases() {
+    this.aliases = [];
+    this.roomAliases = new WeakMap();
+
+    for (const command of this.commands.values()) {
+      for (const [lang, aliases] of Object.entries(this.getAliases(command))) {
+        for (const alias of aliases) {
+          this.aliases.push(this.createAlias(command, alias, lang));
+        }
+      }
+    }
+
+    // Longest first, so "tham gia" wins over a hypothetical "tham"
+    this.aliases.sort((a, b) => b.tokens.length - a.tokens.length);
+  }
+}
+
+// Export shared router with the built-in commands
+export default new CommandRouter();
@@ -0,0 +1,302 @@
+/**
+ * CommandThrottle.js
+ * Anti-spam rate limiting for chat commands (per user and per room)
+ *
+ * CHECKS (in order):
+ * 1. Duplicate: same user, same comment within `duplicateWindowMs`
+ * 2. Cooldown: per-user cooldown of a specific command (e.g. "join")
+ * 3. User rate: token bucket per viewer (`user.ratePerSec`, `user.burst`)
+ * 4. Room rate: token bucket for the whole room (`room.ratePerSec`, `room.burst`)
+ *
+ * A token bucket allows `burst` commands at once, then refills at
+ * `ratePerSec` tokens per second.
+ *
+ * @module services/CommandThrottle
+ */
+
+/**
+ * Default limits, used for every room unless overridden
+ */
+export const DEFAULT_THROTTLE = {
+  user: { ratePerSec: 1, burst: 3 },
+  room: { ratePerSec: 20, burst: 40 },
+  duplicateWindowMs: 2000,
+  cooldowns: { join: 10000 },
+  notifyIntervalMs: 5000,
+};
+
+/**
+ * Viewers idle for this long are forgotten by prune()
+ */
+const USER_IDLE_MS = 10 * 60 * 1000;
+
+/**
+ * Check for a finite number (rejects null, strings, booleans, NaN)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+/**
+ * Check for a plain object (not null or an array)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Take one token from a bucket
+ * @param {{tokens: number, updatedAt: number}} bucket
+ * @param {{ratePerSec: number, burst: number}} limit
+ * @param {number} now
+ * @returns {number} 0 if allowed, otherwise ms until a token is available
+ */
+function takeToken(bucket, limit, now) {
+  const elapsed = (now - bucket.updatedAt) / 1000;
+  bucket.tokens = Math.min(
+    limit.burst,
+    bucket.tokens + elapsed * limit.ratePerSec
+  );
+  bucket.updatedAt = now;
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return 0;
+  }
+  return Math.ceil(((1 - bucket.tokens) / limit.ratePerSec) * 1000);
+}
+
+class CommandThrottle {
+  constructor() {
+    // Singleton pattern - ensure only one instance exists
+    if (CommandThrottle.instance) {
+      return CommandThrottle.instance;
+    }
+    CommandThrottle.instance = this;
+
+    /**
+     * Default limits for all rooms
+     */
+    this.defaults = DEFAULT_THROTTLE;
+
+    /**
+     * Throttle state per room
+     * @type {Map<string, {options: Object|null, bucket: Object, users: Map<string, Object>}>}
+     */
+    this.rooms = new Map();
+  }
+
+  /**
+   * Check whether a viewer's command may pass
+   *
+   * @param {string} room - Room ID
+   * @param {string} userId - Viewer uniqueId
+   * @param {string} command - Parsed command name
+   * @param {string} comment - Normalized comment (for duplicate detection)
+   * @returns {{allowed: boolean, reason?: "duplicate"|"cooldown"|"user_rate"|"room_rate", retryAfterMs?: number, notify?: boolean}}
+   *   `notify` is true when the viewer should get "slow down" feedback
+   *   (at most once per notifyIntervalMs)
+   */
+  check(room, userId, command, comment) {
+    const now = Date.now();
+    const state = this.getRoomState(room);
+    const options = state.options || this.defaults;
+    const user = this.getUserState(state, userId, now);
+    user.lastSeen = now;
+
+    let reason = null;
+    let retryAfterMs = 0;
+
+    const cooldownUntil = user.cooldowns[command] || 0;
+
+    if (
+      comment === user.lastComment &&
+      now - user.lastCommentAt < options.duplicateWindowMs
+    ) {
+      reason = "duplicate";
+      retryAfterMs = options.duplicateWindowMs - (now - user.lastCommentAt);
+    } else if (cooldownUntil > now) {
+      reason = "cooldown";
+      retryAfterMs = cooldownUntil - now;
+    } else if ((retryAfterMs = takeToken(user.bucket, options.user, now))) {
+      reason = "user_rate";
+    } else if ((retryAfterMs = takeToken(state.bucket, options.room, now))) {
+      reason = "room_rate";
+    }
+
+    user.lastComment = comment;
+    user.lastCommentAt = now;
+
+    if (!reason) {
+      const cooldown = options.cooldowns[command];
+      if (cooldown) user.cooldowns[command] = now + cooldown;
+      return { allowed: true };
+    }
+
+    const notify = now - user.lastNotifiedAt >= options.notifyIntervalMs;
+    if (notify) user.lastNotifiedAt = now;
+
+    return { allowed: false, reason, retryAfterMs, notify };
+  }
+
+  /**
+   * Get effective options of a room
+   * @param {string} room - Room ID
+   * @returns {Object}
+   */
+  getOptions(room) {
+    return this.rooms.get(room)?.options || this.defaults;
+  }
+
+  /**
+   * Override limits for one room (merged over the defaults)
+   * @param {string} room - Room ID
+   * @param {Object} options - Partial DEFAULT_THROTTLE-shaped options
+   * @returns {Object} Effective options
+   */
+  setOptions(room, options) {
+    const merged = this.mergeOptions(this.getOptions(room), options);
+    this.getRoomState(room).options = merged;
+    return merged;
+  }
+
+  /**
+   * Change the default limits of all rooms
+   * Earlier calls are forgotten: missing keys use DEFAULT_THROTTLE.
+   * @param {Object} [options] - Partial DEFAULT_THROTTLE-shaped options
+   */
+  configure(options) {
+    this.defaults = this.mergeOptions(DEFAULT_THROTTLE, options);
+  }
+
+  /**
+   * Reset a room's counters (per-room overrides are kept)
+   * @param {string} room - Room ID
+   */
+  resetRoom(room) {
+    const state = this.rooms.get(room);
+    if (!state) return;
+
+    if (state.options) {
+      state.users.clear();
+      state.bucket = {
+        tokens: state.options.room.burst,
+        updatedAt: Date.now(),
+      };
+    } else {
+      this.rooms.delete(room);
+    }
+  }
+
+  /**
+   * Forget idle viewers to keep memory bounded
+   */
+  prune() {
+    const now = Date.now();
+    for (const state of this.rooms.values()) {
+      for (const [userId, user] of state.users.entries()) {
+        if (now - user.lastSeen > USER_IDLE_MS) state.users.delete(userId);
+      }
+    }
+  }
+
+  /**
+   * Validate and merge options
+   * @param {Object} base - Current options
+   * @param {Object} options - Partial options
+   * @returns {Object} Merged options
+   * @throws {Error} On unknown keys, or values that are not numbers in range
+   */
+  mergeOptions(base, options = {}) {
+    if (!isObject(options)) {
+      throw new Error("options must be an object");
+    }
+    for (const key of Object.keys(options)) {
+      if (!Object.hasOwn(DEFAULT_THROTTLE, key)) {
+        throw new Error(`Unknown option: ${key}`);
+      }
+    }
+    for (const key of ["user", "room", "cooldowns"]) {
+      if (options[key] !== undefined && !isObject(options[key])) {
+        throw new Error(`${key} must be an object`);
+      }
+    }
+
+    const merged = {
+      ...base,
+      ...options,
+      user: { ...base.user, ...options.user },
+      room: { ...base.room, ...options.room },
+      cooldowns: { ...base.cooldowns, ...options.cooldowns },
+    };
+
+    for (const key of ["user", "room"]) {
+      const { ratePerSec, burst } = merged[key];
+      if (
+        !(isNumber(ratePerSec) && ratePerSec > 0) ||
+        !(isNumber(burst) && burst >= 1)
+      ) {
+        throw new Error(`${key}: ratePerSec must be > 0 and burst >= 1`);
+      }
+    }
+    for (const key of ["duplicateWindowMs", "notifyIntervalMs"]) {
+      if (!(isNumber(merged[key]) && merged[key] >= 0)) {
+        throw new Error(`${key} must be a number >= 0`);
+      }
+    }
+    for (const [command, ms] of Object.entries(merged.cooldowns)) {
+      if (!(isNumber(ms) && ms >= 0)) {
+        throw new Error(`cooldowns.${command} must be a number >= 0`);
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Get (or create) a room's throttle state
+   * @param {string} room - Room ID
+   * @returns {Object}
+   */
+  getRoomState(room) {
+    if (!this.rooms.has(room)) {
+      this.rooms.set(room, {
+        options: null, // null = use this.defaults
+        bucket: { tokens: this.defaults.room.burst, updatedAt: Date.now() },
+        users: new Map(),
+      });
+    }
+    return this.rooms.get(room);
+  }
+
+  /**
+   * Get (or create) a viewer's throttle state
+   * @param {Object} state - Room state
+   * @param {string} userId - Viewer uniqueId
+   * @param {number} now
+   * @returns {Object}
+   */
+  getUserState(state, userId, now) {
+    if (!state.users.has(userId)) {
+      state.users.set(userId, {
+        bucket: {
+          tokens: (state.options || this.defaults).user.burst,
+          updatedAt: now,
+        },
+        cooldowns: {},
+        lastComment: null,
+        lastCommentAt: 0,
+        lastNotifiedAt: 0,
+        lastSeen: now,
+      });
+    }
+    return state.users.get(userId);
+  }
+}
+
+// Export singleton instance
+export default new CommandThrottle();
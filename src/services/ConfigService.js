@@ -0,0 +1,407 @@
+/**
+ * ConfigService.js
+ * Server configuration file: validation, defaults and hot reload
+ *
+ * CONFIG FILE (JSON, see config/server.example.json):
+ * {
+ *   "server": { "port": 3000, "corsOrigins": ["*"] },
+ *   "connector": { "tiktok": { "requestPollingIntervalMs": 2000 }, ... },
+ *   "rooms": { "throttle": { "user": { "ratePerSec": 2 } }, ... },
+ *   "giftCatalog": { "file": "config/gift-catalog.json" },
+ *   "commands": { "aliases": { "attack": { "en": ["pew"] } } },
+ *   "logging": { "level": "info" }
+ * }
+ * - Every section and key is optional: missing values use DEFAULT_CONFIG
+ * - Environment variables (PORT, LOG_LEVEL...) override the file
+ * - Unknown keys and wrong types are errors, reported with their path
+ *   ("server.port: must be an integer between 1 and 65535")
+ * - reload() (file change or SIGHUP) applies the new file without a
+ *   restart; RESTART_KEYS keep their running value until the next restart
+ *
+ * @module services/ConfigService
+ */
+
+import { existsSync, readFileSync, watchFile, unwatchFile } from "fs";
+import { dirname, extname, join, resolve } from "path";
+import { fileURLToPath } from "url";
+import {
+  DEFAULT_RECONNECT,
+  DEFAULT_INACTIVITY_TIMEOUT_MS,
+} from "./TikTokService.js";
+import { DEFAULT_TWITCH } from "./sources/TwitchIrcSource.js";
+import commandThrottle, { DEFAULT_THROTTLE } from "./CommandThrottle.js";
+import commandRouter from "./CommandRouter.js";
+import logger, { LOG_LEVELS, DEFAULT_SAMPLE_EVERY } from "./Logger.js";
+import { checkSchema } from "./Schema.js";
+
+const log = logger.child({ component: "ConfigService" });
+
+const CONFIG_DIR = join(
+  dirname(fileURLToPath(import.meta.url)),
+  "../../config"
+);
+
+/**
+ * Settings used when neither the file nor the environment sets them
+ */
+export const DEFAULT_CONFIG = {
+  server: {
+    port: 3000,
+    corsOrigins: ["*"],
+    // Longest graceful shutdown before a forced exit
+    shutdownTimeoutMs: 10000,
+  },
+  connector: {
+    defaultSource: "tiktok",
+    tiktok: {
+      processInitialData: true,
+      enableExtendedGiftInfo: true,
+      enableWebsocketUpgrade: true,
+      requestPollingIntervalMs: 2000,
+      sessionId: null,
+    },
+    mock: {},
+    twitch: DEFAULT_TWITCH,
+    reconnect: DEFAULT_RECONNECT,
+    inactivityTimeoutMs: DEFAULT_INACTIVITY_TIMEOUT_MS,
+    cleanupIntervalMs: 60000,
+  },
+  rooms: {
+    requireAuth: false,
+    eventBufferSize: 500,
+    throttle: {},
+  },
+  giftCatalog: {
+    file: join(CONFIG_DIR, "gift-catalog.json"),
+  },
+  commands: {
+    aliases: {},
+  },
+  logging: {
+    level: "info",
+    format: "text",
+    sample: DEFAULT_SAMPLE_EVERY,
+  },
+};
+
+/**
+ * Keys that only change on restart
+ * @type {string[]}
+ */
+export const RESTART_KEYS = ["server.port"];
+
+const integer = (min, max) => ({ type: "integer", min, max });
+const boolean = { type: "boolean" };
+const strings = { type: "array", items: { type: "string" } };
+
+/**
+ * Shape of the config file (see services/Schema)
+ */
+const SCHEMA = {
+  type: "object",
+  properties: {
+    server: {
+      type: "object",
+      properties: {
+        port: integer(1, 65535),
+        corsOrigins: strings,
+        shutdownTimeoutMs: integer(1000),
+      },
+    },
+    connector: {
+      type: "object",
+      properties: {
+        defaultSource: { type: "string", enum: ["tiktok", "mock", "twitch"] },
+        tiktok: {
+          type: "object",
+          properties: {
+            processInitialData: boolean,
+            enableExtendedGiftInfo: boolean,
+            enableWebsocketUpgrade: boolean,
+            requestPollingIntervalMs: integer(500),
+            sessionId: { type: "string", nullable: true },
+          },
+        },
+        mock: {
+          type: "object",
+          properties: {
+            intervalMs: integer(0),
+            scriptFile: { type: "string", nullable: true },
+            loop: boolean,
+          },
+        },
+        twitch: {
+          type: "object",
+          properties: {
+            url: { type: "string" },
+            nick: { type: "string", nullable: true },
+            password: { type: "string", nullable: true },
+            bitValue: { type: "number", min: 0 },
+            connectTimeoutMs: integer(1000),
+          },
+        },
+        reconnect: {
+          type: "object",
+          properties: {
+            maxAttempts: integer(0),
+            baseDelayMs: integer(1),
+            maxDelayMs: integer(1),
+          },
+        },
+        inactivityTimeoutMs: integer(10000),
+        cleanupIntervalMs: integer(1000),
+      },
+    },
+    rooms: {
+      type: "object",
+      properties: {
+        requireAuth: boolean,
+        eventBufferSize: integer(0),
+        throttle: { type: "any" },
+      },
+    },
+    giftCatalog: {
+      type: "object",
+      properties: {
+        file: { type: "string" },
+      },
+    },
+    commands: {
+      type: "object",
+      properties: {
+        aliases: {
+          type: "object",
+          values: { type: "object", values: strings },
+        },
+      },
+    },
+    logging: {
+      type: "object",
+      properties: {
+        level: { type: "string", enum: LOG_LEVELS },
+        format: { type: "string", enum: ["text", "json"] },
+        sample: { type: "object", values: integer(1) },
+      },
+    },
+  },
+};
+
+/**
+ * Deep-merge plain objects (arrays and other values replace, undefined
+ * values are skipped)
+ * @param {Object} base
+ * @param {Object} override
+ * @returns {Object} New object
+ */
+function merge(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    if (value === undefined) continue;
+    const isObject =
+      typeof value === "object" && value !== null && !Array.isArray(value);
+    merged[key] =
+      isObject && typeof base?.[key] === "object" && base[key] !== null
+        ? merge(base[key], value)
+        : value;
+  }
+  return merged;
+}
+
+/**
+ * Read a value by path ("server.port")
+ * @param {Object} config
+ * @param {string} path
+ * @returns {*}
+ */
+function getPath(config, path) {
+  return path.split(".").reduce((value, key) => value?.[key], config);
+}
+
+class ConfigService {
+  constructor() {
+    // Singleton pattern - ensure only one instance exists
+    if (ConfigService.instance) {
+      return ConfigService.instance;
+    }
+    ConfigService.instance = this;
+
+    /**
+     * Config file path (null = defaults and environment only)
+     * @type {string|null}
+     */
+    this.file = null;
+
+    /**
+     * Values from the environment, applied over the file
+     * @type {Object}
+     */
+    this.overrides = {};
+
+    /**
+     * Current configuration
+     * @type {Object}
+     */
+    this.config = DEFAULT_CONFIG;
+
+    /**
+     * Functions called after a successful reload
+     * @type {Array<function(Object, Object): void>}
+     */
+    this.listeners = [];
+  }
+
+  /**
+   * Load and validate the configuration
+   * A missing file is not an error (defaults + environment are used).
+   *
+   * @param {string} file - Config file path (.json)
+   * @param {Object} [overrides] - Values from the environment (same shape,
+   *   undefined = not set)
+   * @returns {Object} Configuration
+   * @throws {Error} When invalid; `error.errors` lists every problem
+   */
+  load(file, overrides = {}) {
+    this.file = resolve(file);
+    this.overrides = overrides;
+    this.config = this.read();
+    return this.config;
+  }
+
+  /**
+   * Read, merge and validate the file (does not change the current config)
+   * @returns {Object} Configuration
+   * @throws {Error} When invalid; `error.errors` lists every problem
+   */
+  read() {
+    const invalid = (errors) => {
+      const error = new Error(
+        `Invalid configuration (${this.file}):\n  - ${errors.join("\n  - ")}`
+      );
+      error.errors = errors;
+      return error;
+    };
+
+    const extension = extname(this.file).toLowerCase();
+    if (extension === ".yaml" || extension === ".yml") {
+      throw invalid(["YAML is not supported, use a .json file"]);
+    }
+
+    let fromFile = {};
+    if (existsSync(this.file)) {
+      try {
+        fromFile = JSON.parse(readFileSync(this.file, "utf8"));
+      } catch (error) {
+        throw invalid([`cannot parse JSON: ${error.message}`]);
+      }
+    }
+
+    const errors = [];
+    const envErrors = [];
+    checkSchema(fromFile, SCHEMA, "", errors);
+    checkSchema(this.overrides, SCHEMA, "", envErrors);
+    errors.push(...envErrors.map((message) => `${message} (environment)`));
+
+    const config = merge(merge(DEFAULT_CONFIG, fromFile), this.overrides);
+
+    // Checks that need the services' own rules
+    const twitchUrl = config.connector?.twitch?.url;
+    if (typeof twitchUrl === "string" && !/^ircs?:\/\/[^/]+/.test(twitchUrl)) {
+      errors.push("connector.twitch.url: must be an irc:// or ircs:// URL");
+    }
+    try {
+      commandThrottle.mergeOptions(DEFAULT_THROTTLE, config.rooms?.throttle);
+    } catch (error) {
+      errors.push(`rooms.throttle: ${error.message}`);
+    }
+    for (const name of Object.keys(config.commands?.aliases || {})) {
+      if (!commandRouter.commands.has(name)) {
+        errors.push(`commands.aliases.${name}: unknown command`);
+      }
+    }
+    if (errors.length > 0) throw invalid(errors);
+
+    return config;
+  }
+
+  /**
+   * Re-read the file and notify listeners
+   * An invalid file is logged and ignored (the running config stays).
+   * @returns {boolean} Whether the new configuration was applied
+   */
+  reload() {
+    let config;
+    try {
+      config = this.read();
+    } catch (error) {
+      (error.errors || [error.message]).forEach((message) =>
+        log.error("Invalid configuration, keeping the current one", {
+          file: this.file,
+          error: message,
+        })
+      );
+      return false;
+    }
+
+    const previous = this.config;
+    for (const key of RESTART_KEYS) {
+      const [section, name] = key.split(".");
+      if (getPath(config, key) !== getPath(previous, key)) {
+        log.warn("Restart required to apply", {
+          key,
+          value: getPath(config, key),
+        });
+        config[section] = {
+          ...config[section],
+          [name]: getPath(previous, key),
+        };
+      }
+    }
+
+    this.config = config;
+    log.info("Configuration reloaded", { file: this.file });
+    for (const listener of this.listeners) {
+      try {
+        listener(config, previous);
+      } catch (error) {
+        log.error("Cannot apply configuration", { error: error.message });
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Call a function after every successful reload
+   * @param {function(Object, Object): void} listener - (config, previous)
+   */
+  onReload(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Reload when the file changes (polled, so editors that replace the
+   * file are noticed too)
+   * @param {number} [intervalMs=1000] - Poll interval
+   */
+  watch(intervalMs = 1000) {
+    const watcher = watchFile(
+      this.file,
+      { interval: intervalMs },
+      (current) => {
+        // Deleted file: keep the running configuration
+        if (current.mtimeMs === 0) return;
+        this.reload();
+      }
+    );
+    watcher.unref();
+  }
+
+  /**
+   * Stop watching the file
+   */
+  unwatch() {
+    unwatchFile(this.file);
+  }
+}
+
+// Export singleton instance
+export default new ConfigService();
@@ -0,0 +1,150 @@
+/**
+ * GameReportService.js
+ * Validation and recent history of what games report back to the server
+ *
+ * REPORT TYPES ({ game, type, data }):
+ * - state: current game state, replaces the previous one (e.g. { wave: 12 })
+ * - event: something happened (data.name, e.g. "boss_defeated")
+ * - score: leaderboard score (data: { user, score, mode? })
+ * - win: a viewer won (data: { user }), counted in the viewer profile
+ *   (only user.uniqueId is used, names come from the viewer's live events)
+ *
+ * Only the latest state per game and the last `historySize` reports of each
+ * room are kept here (in memory); scores and wins are persisted by the
+ * leaderboard and viewer stores.
+ *
+ * @module services/GameReportService
+ */
+
+/**
+ * Supported report types
+ * @type {string[]}
+ */
+export const REPORT_TYPES = ["state", "event", "score", "win"];
+
+/**
+ * Game IDs and event names: lowercase letters, digits, "-" and "_"
+ */
+const NAME_PATTERN = /^[a-z0-9_-]{1,40}$/;
+
+/**
+ * Largest accepted `data` (JSON characters)
+ */
+const MAX_DATA_LENGTH = 4096;
+
+class GameReportService {
+  constructor() {
+    // Singleton pattern - ensure only one instance exists
+    if (GameReportService.instance) {
+      return GameReportService.instance;
+    }
+    GameReportService.instance = this;
+
+    /**
+     * Reports kept per room
+     * @type {number}
+     */
+    this.historySize = 100;
+
+    /**
+     * Recent reports per room (oldest first)
+     * @type {Map<string, Object[]>}
+     */
+    this.history = new Map();
+
+    /**
+     * Latest state per room and game (a Map: game IDs such as "__proto__"
+     * match NAME_PATTERN)
+     * @type {Map<string, Map<string, {state: Object, updatedAt: number}>>}
+     */
+    this.states = new Map();
+  }
+
+  /**
+   * Validate and normalize a report
+   * @param {Object} report - { game, type, data } as sent by the client
+   * @returns {{game: string, type: string, data: Object}}
+   * @throws {Error} When the report is invalid
+   */
+  validate(report) {
+    const { game, type, data = {} } = report || {};
+
+    if (typeof game !== "string" || !NAME_PATTERN.test(game)) {
+      throw new Error("game must match [a-z0-9_-] (max 40 characters)");
+    }
+    if (!REPORT_TYPES.includes(type)) {
+      throw new Error(`type must be one of: ${REPORT_TYPES.join(", ")}`);
+    }
+    if (typeof data !== "object" || data === null || Array.isArray(data)) {
+      throw new Error("data must be an object");
+    }
+    if (JSON.stringify(data).length > MAX_DATA_LENGTH) {
+      throw new Error(`data must not exceed ${MAX_DATA_LENGTH} characters`);
+    }
+
+    if (
+      type === "event" &&
+      (typeof data.name !== "string" || !NAME_PATTERN.test(data.name))
+    ) {
+      throw new Error("event name must match [a-z0-9_-] (max 40 characters)");
+    }
+    if (
+      (type === "score" || type === "win") &&
+      (typeof data.user?.uniqueId !== "string" || !data.user.uniqueId)
+    ) {
+      throw new Error("user.uniqueId must be a non-empty string");
+    }
+
+    return { game, type, data };
+  }
+
+  /**
+   * Remember a validated report
+   * @param {string} room - Room ID
+   * @param {{game: string, type: string, data: Object}} report
+   * @returns {Object} Stored report (with timestamp)
+   */
+  record(room, report) {
+    const entry = { ...report, timestamp: Date.now() };
+
+    if (report.type === "state") {
+      if (!this.states.has(room)) this.states.set(room, new Map());
+      this.states.get(room).set(report.game, {
+        state: report.data,
+        updatedAt: entry.timestamp,
+      });
+    }
+
+    if (!this.history.has(room)) this.history.set(room, []);
+    const history = this.history.get(room);
+    history.push(entry);
+    if (history.length > this.historySize) history.shift();
+
+    return entry;
+  }
+
+  /**
+   * Get a room's recent reports (newest first)
+   * @param {string} room - Room ID
+   * @param {{game?: string, limit?: number}} [options]
+   * @returns {Object[]}
+   */
+  getRecent(room, { game, limit = 50 } = {}) {
+    return (this.history.get(room) || [])
+      .filter((entry) => !game || entry.game === game)
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * Get the latest state of each game of a room
+   * @param {string} room - Room ID
+   * @returns {Object<string, {state: Object, updatedAt: number}>}
+   */
+  getStates(room) {
+    return Object.fromEntries(this.states.get(room) || []);
+  }
+}
+
+// Export singleton instance
+export default new GameReportService();
@@ -0,0 +1,252 @@
+/**
+ * GiftCatalog.js
+ * Per-room gift catalog: maps gifts to tiers, point values and game actions
+ *
+ * CATALOG FILE (JSON):
+ * {
+ *   "default": { "rose": { "tier": "small", "points": 1 } },
+ *   "rooms": {
+ *     "streamer_a": { "5655": { "tier": "large", "points": 500, "action": "ultimate" } }
+ *   }
+ * }
+ * - Keys are gift IDs or lowercase gift names
+ * - Lookup order: room override → default entry → diamond thresholds
+ *   (< 10 small, 10-99 medium, 100+ large)
+ *
+ * @module services/GiftCatalog
+ */
+
+import { existsSync, readFileSync } from "fs";
+import { mkdir, writeFile } from "fs/promises";
+import { dirname, resolve } from "path";
+import logger from "./Logger.js";
+
+const log = logger.child({ component: "GiftCatalog" });
+
+/**
+ * Categorize a gift by diamond value (fallback for unknown gifts)
+ * @param {number} giftValue - Diamond value of one gift
+ * @returns {"small"|"medium"|"large"}
+ */
+export function tierFromValue(giftValue) {
+  if (giftValue >= 100) return "large"; // 100+ coins
+  if (giftValue >= 10) return "medium"; // 10-99 coins
+  return "small"; // < 10 coins
+}
+
+/**
+ * Copy an object into a prototype-less one (gift keys come from the API and
+ * the catalog file: "constructor" or "__proto__" must stay plain keys)
+ * @param {Object} [object]
+ * @returns {Object}
+ */
+function toDict(object = {}) {
+  return Object.assign(Object.create(null), object);
+}
+
+class GiftCatalog {
+  constructor() {
+    // Singleton pattern - ensure only one instance exists
+    if (GiftCatalog.instance) {
+      return GiftCatalog.instance;
+    }
+    GiftCatalog.instance = this;
+
+    /**
+     * Catalog file path (null = in-memory only)
+     * @type {string|null}
+     */
+    this.file = null;
+
+    /**
+     * Entries used by every room
+     * @type {Object<string, {tier: string, points?: number, action?: string}>}
+     */
+    this.defaults = toDict();
+
+    /**
+     * Per-room overrides
+     * @type {Map<string, Object<string, {tier: string, points?: number, action?: string}>>}
+     */
+    this.rooms = new Map();
+  }
+
+  /**
+   * Load the catalog from a JSON file
+   * A missing file is not an error - the catalog then starts empty and
+   * is created on the first API edit. The file is parsed and validated
+   * before anything is replaced, so a bad edit keeps the current catalog.
+   *
+   * @param {string} file - Catalog file path
+   * @throws {Error} When the file is not valid JSON or has invalid entries
+   */
+  load(file) {
+    const path = resolve(file);
+    const defaults = toDict();
+    const rooms = new Map();
+    const exists = existsSync(path);
+
+    if (exists) {
+      const data = JSON.parse(readFileSync(path, "utf8"));
+
+      for (const [key, entry] of Object.entries(data.default || {})) {
+        defaults[this.normalizeKey(key)] = this.validateEntry(entry, key);
+      }
+      for (const [room, gifts] of Object.entries(data.rooms || {})) {
+        const overrides = toDict();
+        for (const [key, entry] of Object.entries(gifts)) {
+          overrides[this.normalizeKey(key)] = this.validateEntry(entry, key);
+        }
+        rooms.set(room, overrides);
+      }
+    }
+
+    this.file = path;
+    this.defaults = defaults;
+    this.rooms = rooms;
+
+    if (!exists) {
+      log.info("No catalog file, using defaults", { file: path });
+      return;
+    }
+    log.info("Loaded catalog", {
+      gifts: Object.keys(this.defaults).length,
+      rooms: this.rooms.size,
+    });
+  }
+
+  /**
+   * Resolve a gift for a room
+   * @param {string} room - Room ID
+   * @param {{giftId?: number|string, giftName: string, giftValue: number}} gift
+   * @returns {{giftType: string, points: number, action: string|null, source: "room"|"default"|"threshold"}}
+   */
+  resolve(room, { giftId, giftName, giftValue }) {
+    const keys = [giftId, giftName]
+      .filter((key) => key !== undefined && key !== null && key !== "")
+      .map((key) => this.normalizeKey(key));
+    const overrides = this.rooms.get(room) || toDict();
+
+    for (const [source, entries] of [
+      ["room", overrides],
+      ["default", this.defaults],
+    ]) {
+      const key = keys.find((k) => Object.hasOwn(entries, k));
+      if (key) {
+        const entry = entries[key];
+        return {
+          giftType: entry.tier,
+          points: entry.points ?? giftValue,
+          action: entry.action || null,
+          source,
+        };
+      }
+    }
+
+    return {
+      giftType: tierFromValue(giftValue),
+      points: giftValue,
+      action: null,
+      source: "threshold",
+    };
+  }
+
+  /**
+   * Get the catalog as seen by a room
+   * @param {string} room - Room ID
+   * @returns {{default: Object, room: Object}}
+   */
+  getCatalog(room) {
+    return {
+      default: toDict(this.defaults),
+      room: toDict(this.rooms.get(room)),
+    };
+  }
+
+  /**
+   * Add or replace a room override
+   * @param {string} room - Room ID
+   * @param {string|number} key - Gift ID or name
+   * @param {{tier: string, points?: number, action?: string}} entry
+   * @returns {Object} Stored entry
+   */
+  setEntry(room, key, entry) {
+    const validated = this.validateEntry(entry, key);
+    if (!this.rooms.has(room)) this.rooms.set(room, toDict());
+    this.rooms.get(room)[this.normalizeKey(key)] = validated;
+    return validated;
+  }
+
+  /**
+   * Remove a room override
+   * @param {string} room - Room ID
+   * @param {string|number} key - Gift ID or name
+   * @returns {boolean} Whether an override was removed
+   */
+  removeEntry(room, key) {
+    const overrides = this.rooms.get(room);
+    const normalized = this.normalizeKey(key);
+    if (!overrides || !Object.hasOwn(overrides, normalized)) return false;
+
+    delete overrides[normalized];
+    if (Object.keys(overrides).length === 0) this.rooms.delete(room);
+    return true;
+  }
+
+  /**
+   * Write the catalog back to its file
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.file) return;
+
+    const data = {
+      default: this.defaults,
+      rooms: Object.fromEntries(this.rooms),
+    };
+    await mkdir(dirname(this.file), { recursive: true });
+    await writeFile(this.file, JSON.stringify(data, null, 2) + "\n");
+  }
+
+  /**
+   * Validate a catalog entry
+   * @param {Object} entry - Raw entry
+   * @param {string|number} key - Gift key (for error messages)
+   * @returns {{tier: string, points?: number, action?: string}}
+   */
+  validateEntry(entry, key) {
+    if (!entry || typeof entry.tier !== "string" || !entry.tier.trim()) {
+      throw new Error(`Gift "${key}": tier must be a non-empty string`);
+    }
+    if (
+      entry.points !== undefined &&
+      !(typeof entry.points === "number" && entry.points >= 0)
+    ) {
+      throw new Error(`Gift "${key}": points must be a number >= 0`);
+    }
+    if (
+      entry.action !== undefined &&
+      entry.action !== null &&
+      typeof entry.action !== "string"
+    ) {
+      throw new Error(`Gift "${key}": action must be a string`);
+    }
+
+    const result = { tier: entry.tier.trim() };
+    if (entry.points !== undefined) result.points = entry.points;
+    if (entry.action) result.action = entry.action;
+    return result;
+  }
+
+  /**
+   * Normalize a gift key (IDs as strings, names lowercase)
+   * @param {string|number} key
+   * @returns {string}
+   */
+  normalizeKey(key) {
+    return String(key).toLowerCase().trim();
+  }
+}
+
+// Export singleton instance
+export default new GiftCatalog();
@@ -0,0 +1,95 @@
+/**
+ * GiftStreakTracker.js
+ * Tracks combo (streak) gifts for one room
+ *
+ * TikTok sends streakable gifts (giftType === 1) as a series of packets
+ * with a growing `repeatCount`, and only the last one has `repeatEnd` set.
+ * The tracker turns this into:
+ * - "progress" steps while the streak is running (with the increment)
+ * - exactly one "final" step with the real total repeatCount
+ *
+ * Streaks whose end packet never arrives are finalized after `timeoutMs`.
+ *
+ * @module services/GiftStreakTracker
+ */
+
+export default class GiftStreakTracker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs=10000] - Finalize a silent streak after this
+   * @param {function(Object): void} [options.onExpire] - Called with the
+   *   final step of an expired streak
+   */
+  constructor(options = {}) {
+    this.timeoutMs = options.timeoutMs ?? 10000;
+    this.onExpire = options.onExpire || (() => {});
+
+    /**
+     * Running streaks by "streamer:uniqueId:giftId"
+     * @type {Map<string, {repeatCount: number, data: Object, timer: NodeJS.Timeout}>}
+     */
+    this.streaks = new Map();
+  }
+
+  /**
+   * Process one gift packet
+   * @param {Object} data - Raw gift data (uniqueId, giftId, giftType, repeatCount, repeatEnd)
+   * @returns {{final: boolean, repeatCount: number, increment: number, data: Object}}
+   */
+  track(data) {
+    const repeatCount = data.repeatCount || 1;
+    const streakable = data.giftType === 1;
+
+    // Non-streakable gifts are always final
+    if (!streakable) {
+      return { final: true, repeatCount, increment: repeatCount, data };
+    }
+
+    // Collab rooms: a viewer can run the same combo in two streams
+    const key = `${data.streamer ?? ""}:${data.uniqueId}:${
+      data.giftId ?? data.giftName
+    }`;
+    const streak = this.streaks.get(key);
+    const previousCount = streak ? streak.repeatCount : 0;
+    const increment = Math.max(0, repeatCount - previousCount);
+
+    if (streak) clearTimeout(streak.timer);
+
+    if (data.repeatEnd) {
+      this.streaks.delete(key);
+      return { final: true, repeatCount, increment, data };
+    }
+
+    this.streaks.set(key, {
+      repeatCount,
+      data,
+      timer: setTimeout(() => this.expire(key), this.timeoutMs),
+    });
+    return { final: false, repeatCount, increment, data };
+  }
+
+  /**
+   * Finalize a streak that never received its end packet
+   * @param {string} key - Streak key
+   */
+  expire(key) {
+    const streak = this.streaks.get(key);
+    if (!streak) return;
+
+    this.streaks.delete(key);
+    this.onExpire({
+      final: true,
+      repeatCount: streak.repeatCount,
+      increment: 0,
+      data: streak.data,
+    });
+  }
+
+  /**
+   * Drop all running streaks (used on disconnect)
+   */
+  clear() {
+    this.streaks.forEach((streak) => clearTimeout(streak.timer));
+    this.streaks.clear();
+  }
+}
@@ -0,0 +1,418 @@
+/**
+ * LeaderboardService.js
+ * Score boards per room and game over several time windows
+ *
+ * WINDOWS:
+ * - stream: since the room's live connection was opened (startStream())
+ * - daily / weekly: current UTC day / week (weeks start on Monday)
+ * - alltime: never reset
+ * A window's scores are dropped when its key changes (new day, new stream).
+ *
+ * MODES:
+ * - "add": scores are summed (e.g. damage dealt over several fights)
+ * - "best": the highest score is kept (e.g. waves reached in one run)
+ *
+ * Each board keeps its best MAX_BOARD_ENTRIES viewers. Changes are written
+ * to the leaderboard file at most every `saveDelayMs` (call flush() before
+ * exiting), through a temporary file renamed over it.
+ *
+ * @module services/LeaderboardService
+ */
+
+import { randomBytes } from "crypto";
+import { existsSync, readFileSync } from "fs";
+import { mkdir, rename, writeFile } from "fs/promises";
+import { dirname, resolve } from "path";
+import logger from "./Logger.js";
+
+const log = logger.child({ component: "LeaderboardService" });
+
+/**
+ * Supported windows
+ * @type {string[]}
+ */
+export const LEADERBOARD_WINDOWS = ["stream", "daily", "weekly", "alltime"];
+
+/**
+ * Game IDs: lowercase letters, digits, "-" and "_"
+ */
+const GAME_ID_PATTERN = /^[a-z0-9_-]{1,40}$/;
+
+/**
+ * Keys that would reach Object.prototype (never valid game or viewer IDs)
+ */
+const RESERVED_KEYS = ["__proto__", "constructor", "prototype"];
+
+/**
+ * Copy an object into a prototype-less one (boards are indexed by client
+ * supplied game and viewer IDs)
+ * @param {Object} [object]
+ * @returns {Object}
+ */
+function toDict(object = {}) {
+  return Object.assign(Object.create(null), object);
+}
+
+/**
+ * Highest accepted score (keeps buggy or hostile clients in check)
+ */
+const MAX_SCORE = 1e12;
+
+/**
+ * Viewers kept per board (the lowest ranked are dropped)
+ */
+const MAX_BOARD_ENTRIES = 1000;
+
+/**
+ * Longest accepted nickname
+ */
+const MAX_NICKNAME_LENGTH = 100;
+
+/**
+ * Sort board entries by rank: highest score first, earliest on ties
+ * @param {Object} a - Entry
+ * @param {Object} b - Entry
+ * @returns {number}
+ */
+function byRank(a, b) {
+  return b.score - a.score || a.updatedAt - b.updatedAt;
+}
+
+class LeaderboardService {
+  constructor() {
+    // Singleton pattern - ensure only one instance exists
+    if (LeaderboardService.instance) {
+      return LeaderboardService.instance;
+    }
+    LeaderboardService.instance = this;
+
+    /**
+     * Leaderboard file path (null = in-memory only)
+     * @type {string|null}
+     */
+    this.file = null;
+
+    /**
+     * Boards: room → game → window → { key, entries }
+     * @type {Map<string, Object<string, Object<string, {key: string, entries: Object<string, Object>}>>>}
+     */
+    this.rooms = new Map();
+
+    /**
+     * Current stream key per room (see startStream())
+     * @type {Map<string, string>}
+     */
+    this.streams = new Map();
+
+    /**
+     * Delay between a change and the file write
+     * @type {number}
+     */
+    this.saveDelayMs = 5000;
+
+    /**
+     * Pending save timer
+     * @type {NodeJS.Timeout|null}
+     */
+    this.saveTimer = null;
+  }
+
+  /**
+   * Load boards from a JSON file
+   * A missing file is not an error (created on the first score).
+   *
+   * @param {string} file - Leaderboard file path
+   */
+  load(file) {
+    this.file = resolve(file);
+    this.rooms = new Map();
+    this.streams = new Map();
+
+    if (!existsSync(this.file)) return;
+
+    const data = JSON.parse(readFileSync(this.file, "utf8"));
+    for (const [room, games] of Object.entries(data.rooms || {})) {
+      const boards = toDict();
+      for (const [game, windows] of Object.entries(games)) {
+        if (RESERVED_KEYS.includes(game)) continue;
+        boards[game] = toDict();
+        for (const [window, board] of Object.entries(windows)) {
+          if (!LEADERBOARD_WINDOWS.includes(window)) continue;
+          boards[game][window] = { key: board.key, entries: toDict() };
+          for (const [uniqueId, entry] of Object.entries(board.entries)) {
+            if (RESERVED_KEYS.includes(uniqueId)) continue;
+            boards[game][window].entries[uniqueId] = entry;
+          }
+          this.trimBoard(boards[game][window]);
+        }
+      }
+      this.rooms.set(room, boards);
+    }
+    for (const [room, key] of Object.entries(data.streams || {})) {
+      this.streams.set(room, key);
+    }
+
+    log.info("Loaded boards", { rooms: this.rooms.size });
+  }
+
+  /**
+   * Start a new stream window for a room
+   * Called when a room's live connection is opened (not on reconnects).
+   *
+   * @param {string} room - Room ID
+   */
+  startStream(room) {
+    this.streams.set(room, new Date().toISOString());
+    this.scheduleSave();
+  }
+
+  /**
+   * Submit a score
+   * @param {string} room - Room ID
+   * @param {string} game - Game ID (e.g. "boss-raid")
+   * @param {{uniqueId: string, nickname?: string}} user - Scoring viewer
+   * @param {number} score - Score (>= 0)
+   * @param {{mode?: "add"|"best"}} [options]
+   * @returns {Object<string, number>} New score of the viewer per window
+   */
+  submit(room, game, user, score, { mode = "add" } = {}) {
+    this.validateGame(game);
+    if (!user?.uniqueId || typeof user.uniqueId !== "string") {
+      throw new Error("user.uniqueId is required");
+    }
+    if (RESERVED_KEYS.includes(user.uniqueId)) {
+      throw new Error(`Invalid user.uniqueId: ${user.uniqueId}`);
+    }
+    if (
+      user.nickname !== undefined &&
+      (typeof user.nickname !== "string" ||
+        user.nickname.length > MAX_NICKNAME_LENGTH)
+    ) {
+      throw new Error(
+        `user.nickname must be a string of at most ${MAX_NICKNAME_LENGTH} characters`
+      );
+    }
+    if (typeof score !== "number" || !(score >= 0 && score <= MAX_SCORE)) {
+      throw new Error(`score must be a number between 0 and ${MAX_SCORE}`);
+    }
+    if (mode !== "add" && mode !== "best") {
+      throw new Error('mode must be "add" or "best"');
+    }
+
+    const scores = {};
+    for (const window of LEADERBOARD_WINDOWS) {
+      const board = this.getBoardState(room, game, window);
+      const known = board.entries[user.uniqueId];
+      const entry = known || {
+        uniqueId: user.uniqueId,
+        nickname: user.uniqueId,
+        score: 0,
+      };
+
+      entry.nickname = user.nickname || entry.nickname;
+      entry.score =
+        mode === "add" ? entry.score + score : Math.max(entry.score, score);
+      entry.updatedAt = Date.now();
+      board.entries[user.uniqueId] = entry;
+      if (!known) this.trimBoard(board);
+      scores[window] = entry.score;
+    }
+
+    this.scheduleSave();
+    return scores;
+  }
+
+  /**
+   * Get a ranked board
+   * @param {string} room - Room ID
+   * @param {string} game - Game ID
+   * @param {string} [window="alltime"] - One of LEADERBOARD_WINDOWS
+   * @param {number} [limit=10] - Max entries
+   * @returns {{game: string, window: string, key: string, total: number, entries: Array<{rank: number, uniqueId: string, nickname: string, score: number}>}}
+   */
+  getBoard(room, game, window = "alltime", limit = 10) {
+    this.validateGame(game);
+    this.validateWindow(window);
+
+    // Read-only: looking at a board must not create it
+    const key = this.getWindowKey(room, window);
+    const stored = this.rooms.get(room)?.[game]?.[window];
+    const board = stored?.key === key ? stored : { key, entries: toDict() };
+
+    const entries = Object.values(board.entries)
+      .sort(byRank)
+      .slice(0, limit)
+      .map(({ uniqueId, nickname, score }, index) => ({
+        rank: index + 1,
+        uniqueId,
+        nickname,
+        score,
+      }));
+
+    return {
+      game,
+      window,
+      key: board.key,
+      total: Object.keys(board.entries).length,
+      entries,
+    };
+  }
+
+  /**
+   * List the games with boards in a room
+   * @param {string} room - Room ID
+   * @returns {string[]}
+   */
+  listGames(room) {
+    return Object.keys(this.rooms.get(room) || {});
+  }
+
+  /**
+   * Clear a game's boards
+   * @param {string} room - Room ID
+   * @param {string} game - Game ID
+   * @param {string} [window] - Only clear this window (default: all)
+   */
+  reset(room, game, window) {
+    this.validateGame(game);
+    const games = this.rooms.get(room);
+    if (!games?.[game]) return;
+
+    if (window) {
+      this.validateWindow(window);
+      delete games[game][window];
+    } else {
+      delete games[game];
+    }
+    this.scheduleSave();
+  }
+
+  /**
+   * Save soon (changes are batched)
+   */
+  scheduleSave() {
+    if (!this.file || this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch((error) =>
+        log.error("Save failed", { error: error.message })
+      );
+    }, this.saveDelayMs);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Write pending changes now
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await this.save();
+  }
+
+  /**
+   * Write all boards to the leaderboard file
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.file) return;
+
+    const data = {
+      streams: Object.fromEntries(this.streams),
+      rooms: Object.fromEntries(this.rooms),
+    };
+
+    // Unique temp name: a flush() may overlap a timed save
+    const tempFile = `${this.file}.${randomBytes(4).toString("hex")}.tmp`;
+    await mkdir(dirname(this.file), { recursive: true });
+    await writeFile(tempFile, JSON.stringify(data, null, 2) + "\n");
+    await rename(tempFile, this.file);
+  }
+
+  /**
+   * Get the current key of a window
+   * @param {string} room - Room ID
+   * @param {string} window - One of LEADERBOARD_WINDOWS
+   * @returns {string}
+   */
+  getWindowKey(room, window) {
+    const now = new Date();
+
+    switch (window) {
+      case "stream":
+        return this.streams.get(room) || "none";
+      case "daily":
+        return now.toISOString().slice(0, 10);
+      case "weekly": {
+        const monday = new Date(now);
+        monday.setUTCDate(now.getUTCDate() - ((now.getUTCDay() + 6) % 7));
+        return monday.toISOString().slice(0, 10);
+      }
+      default:
+        return "alltime";
+    }
+  }
+
+  /**
+   * Get (or create) a board, dropping it if its window has moved on
+   * @param {string} room - Room ID
+   * @param {string} game - Game ID
+   * @param {string} window - One of LEADERBOARD_WINDOWS
+   * @returns {{key: string, entries: Object<string, Object>}}
+   */
+  getBoardState(room, game, window) {
+    if (!this.rooms.has(room)) this.rooms.set(room, toDict());
+    const games = this.rooms.get(room);
+    games[game] = games[game] || toDict();
+
+    const key = this.getWindowKey(room, window);
+    if (games[game][window]?.key !== key) {
+      games[game][window] = { key, entries: toDict() };
+    }
+    return games[game][window];
+  }
+
+  /**
+   * Drop the lowest ranked entries of a board beyond MAX_BOARD_ENTRIES
+   * @param {{key: string, entries: Object<string, Object>}} board
+   */
+  trimBoard(board) {
+    const entries = Object.values(board.entries);
+    if (entries.length <= MAX_BOARD_ENTRIES) return;
+
+    for (const { uniqueId } of entries.sort(byRank).slice(MAX_BOARD_ENTRIES)) {
+      delete board.entries[uniqueId];
+    }
+  }
+
+  /**
+   * Throw if a game ID is invalid
+   * @param {string} game
+   */
+  validateGame(game) {
+    if (typeof game !== "string" || !GAME_ID_PATTERN.test(game)) {
+      throw new Error("game must match [a-z0-9_-] (max 40 characters)");
+    }
+    if (RESERVED_KEYS.includes(game)) {
+      throw new Error(`Invalid game: ${game}`);
+    }
+  }
+
+  /**
+   * Throw if a window is unknown
+   * @param {string} window
+   */
+  validateWindow(window) {
+    if (!LEADERBOARD_WINDOWS.includes(window)) {
+      throw new Error(
+        `window must be one of: ${LEADERBOARD_WINDOWS.join(", ")}`
+      );
+    }
+  }
+}
+
+// Export singleton instance
+export default new LeaderboardService();
@@ -0,0 +1,261 @@
+/**
+ * Logger.js
+ * Leveled, structured logging with per-room tails
+ *
+ * - Levels: debug < info < warn < error (entries below `level` are dropped)
+ * - Formats: "text" (one readable line) or "json" (one object per line)
+ * - Context: child loggers add fixed fields ({ component: "TikTokService" });
+ *   entries with a `room` field are also kept in that room's tail (tails
+ *   and sampling counters of the `maxRooms` rooms that logged last)
+ * - Sampling: entries with an `event` field listed in `sampleEvery` are only
+ *   written 1 time out of N per room (likes, attacks...); written entries
+ *   carry `sampled: N`
+ *
+ * Usage:
+ *   const log = logger.child({ component: "TikTokService" });
+ *   log.info("Like", { room, event: "like", user: "bob", likeCount: 7 });
+ *
+ * @module services/Logger
+ */
+
+/**
+ * Levels by severity
+ * @type {string[]}
+ */
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+/**
+ * Default sampling: 1 out of N entries per room and event
+ */
+export const DEFAULT_SAMPLE_EVERY = {
+  like: 20,
+  attack: 10,
+};
+
+/**
+ * Parse a sampling table from text, e.g. LOG_SAMPLE="like=50,attack=10"
+ * ("" disables sampling)
+ * @param {string} spec
+ * @returns {Object<string, number>}
+ */
+export function parseSampleEvery(spec) {
+  const sampleEvery = {};
+  for (const pair of spec.split(",").filter(Boolean)) {
+    const [event, every] = pair.split("=").map((part) => part.trim());
+    if (!event || !(Number(every) >= 1)) {
+      throw new Error(`Invalid sampling "${pair}" (expected event=N)`);
+    }
+    sampleEvery[event] = Number(every);
+  }
+  return sampleEvery;
+}
+
+/**
+ * Text value of a field (quoted when it contains spaces)
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return /\s/.test(text) ? JSON.stringify(text) : text;
+}
+
+class Logger {
+  constructor() {
+    // Singleton pattern - ensure only one instance exists
+    if (Logger.instance) {
+      return Logger.instance;
+    }
+    Logger.instance = this;
+
+    /**
+     * Lowest level written
+     * @type {string}
+     */
+    this.level = "info";
+
+    /**
+     * Output format
+     * @type {"text"|"json"}
+     */
+    this.format = "text";
+
+    /**
+     * Sampling per `event` field (1 out of N)
+     * @type {Object<string, number>}
+     */
+    this.sampleEvery = { ...DEFAULT_SAMPLE_EVERY };
+
+    /**
+     * Entries kept per room
+     * @type {number}
+     */
+    this.tailSize = 200;
+
+    /**
+     * Rooms with a tail and sampling counters (least recently logged dropped)
+     * @type {number}
+     */
+    this.maxRooms = 1000;
+
+    /**
+     * Recent entries per room (oldest first), least recently logged room first
+     * @type {Map<string, Object[]>}
+     */
+    this.tails = new Map();
+
+    /**
+     * Sampling counters per room (event → entries seen)
+     * @type {Map<string, Object<string, number>>}
+     */
+    this.sampleCounts = new Map();
+  }
+
+  /**
+   * Configure the logger
+   * @param {{level?: string, format?: "text"|"json", sampleEvery?: Object<string, number>, tailSize?: number, maxRooms?: number}} options
+   *   sampleEvery - Replaces the sampling table ({} disables sampling)
+   */
+  configure(options = {}) {
+    if (options.level !== undefined) {
+      if (!LOG_LEVELS.includes(options.level)) {
+        throw new Error(`level must be one of: ${LOG_LEVELS.join(", ")}`);
+      }
+      this.level = options.level;
+    }
+    if (options.format !== undefined) {
+      if (options.format !== "text" && options.format !== "json") {
+        throw new Error('format must be "text" or "json"');
+      }
+      this.format = options.format;
+    }
+    if (options.sampleEvery !== undefined) {
+      this.sampleEvery = { ...options.sampleEvery };
+    }
+    if (options.tailSize !== undefined) {
+      this.tailSize = options.tailSize;
+    }
+    if (options.maxRooms !== undefined) {
+      this.maxRooms = options.maxRooms;
+    }
+  }
+
+  /**
+   * Create a logger that adds fixed fields to every entry
+   * @param {Object} context - e.g. { component: "TikTokService" }
+   * @returns {{debug: Function, info: Function, warn: Function, error: Function}}
+   *   Each takes (message, fields?)
+   */
+  child(context) {
+    const bind = (level) => (message, fields) =>
+      this.log(level, message, { ...context, ...fields });
+
+    return {
+      debug: bind("debug"),
+      info: bind("info"),
+      warn: bind("warn"),
+      error: bind("error"),
+    };
+  }
+
+  /**
+   * Write an entry
+   * @param {string} level - One of LOG_LEVELS
+   * @param {string} message - Short, constant message ("Like", "Connected")
+   * @param {Object} [fields] - Context (room, event, user...)
+   */
+  log(level, message, fields = {}) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(this.level)) return;
+
+    const entry = { time: new Date().toISOString(), level, msg: message };
+    Object.assign(entry, fields);
+
+    const every = this.sampleEvery[fields.event];
+    if (every > 1) {
+      const counts = this.touchRoom(this.sampleCounts, fields.room, () => ({}));
+      const count = counts[fields.event] || 0;
+      counts[fields.event] = count + 1;
+      if (count % every !== 0) return;
+      entry.sampled = every;
+    }
+
+    if (fields.room) this.addToTail(fields.room, entry);
+
+    const line =
+      this.format === "json" ? JSON.stringify(entry) : this.toText(entry);
+    if (level === "warn" || level === "error") {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  }
+
+  /**
+   * Get a room's recent entries (newest first)
+   * @param {string} room - Room ID
+   * @param {{level?: string, limit?: number}} [options]
+   *   level - Lowest level returned (default: all)
+   * @returns {Object[]}
+   */
+  getTail(room, { level = "debug", limit = 100 } = {}) {
+    if (!LOG_LEVELS.includes(level)) {
+      throw new Error(`level must be one of: ${LOG_LEVELS.join(", ")}`);
+    }
+    const minimum = LOG_LEVELS.indexOf(level);
+
+    return (this.tails.get(room) || [])
+      .filter((entry) => LOG_LEVELS.indexOf(entry.level) >= minimum)
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * Keep an entry in a room's tail
+   * @param {string} room - Room ID
+   * @param {Object} entry
+   */
+  addToTail(room, entry) {
+    const tail = this.touchRoom(this.tails, room, () => []);
+    tail.push(entry);
+    if (tail.length > this.tailSize) tail.shift();
+  }
+
+  /**
+   * Get (or create) a room's value in a per-room map, moved to the most
+   * recently logged end; the least recently logged room is dropped beyond
+   * `maxRooms`
+   * @param {Map<string, *>} map - tails or sampleCounts
+   * @param {string} room - Room ID
+   * @param {Function} create - Builds the value of a new room
+   * @returns {*}
+   */
+  touchRoom(map, room, create) {
+    const value = map.get(room) ?? create();
+    map.delete(room);
+    map.set(room, value);
+    if (map.size > this.maxRooms) map.delete(map.keys().next().value);
+    return value;
+  }
+
+  /**
+   * Readable line of an entry:
+   * 2024-01-01T12:00:00.000Z INFO [TikTokService] [room] Like user=bob likeCount=7
+   * @param {Object} entry
+   * @returns {string}
+   */
+  toText(entry) {
+    const { time, level, msg, component, room, ...fields } = entry;
+    const parts = [time, level.toUpperCase().padEnd(5)];
+
+    if (component) parts.push(`[${component}]`);
+    if (room) parts.push(`[${room}]`);
+    parts.push(msg);
+    for (const [name, value] of Object.entries(fields)) {
+      if (value !== undefined) parts.push(`${name}=${formatValue(value)}`);
+    }
+    return parts.join(" ");
+  }
+}
+
+// Export singleton instance
+export default new Logger();
@@ -0,0 +1,203 @@
+/**
+ * MetricsService.js
+ * Counters and gauges exposed in the Prometheus text format (GET /metrics)
+ *
+ * - Counters only go up (rate() them in Prometheus, e.g. events per second)
+ * - Gauges are set, either directly or by collectors that run on every
+ *   scrape (client counts, event loop lag...)
+ * - Series are identified by their labels, e.g. { room, event }
+ *
+ * @module services/MetricsService
+ */
+
+import { monitorEventLoopDelay } from "perf_hooks";
+import logger from "./Logger.js";
+
+const log = logger.child({ component: "MetricsService" });
+
+/**
+ * Escape a label value for the text format
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+/**
+ * Series key / text of a label set: {a="1",b="2"}
+ * @param {Object<string, string>} labels
+ * @returns {string} "" without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+class MetricsService {
+  constructor() {
+    // Singleton pattern - ensure only one instance exists
+    if (MetricsService.instance) {
+      return MetricsService.instance;
+    }
+    MetricsService.instance = this;
+
+    /**
+     * Registered metrics
+     * @type {Map<string, {type: "counter"|"gauge", help: string, series: Map<string, number>}>}
+     */
+    this.metrics = new Map();
+
+    /**
+     * Functions run before every scrape (to refresh gauges)
+     * @type {Array<function(MetricsService): void>}
+     */
+    this.collectors = [];
+
+    // Event loop lag: histogram of timer delays, reset after every scrape
+    this.loopResolutionMs = 20;
+    this.loopDelay = monitorEventLoopDelay({
+      resolution: this.loopResolutionMs,
+    });
+    this.loopDelay.enable();
+
+    this.define(
+      "nodejs_eventloop_lag_seconds",
+      "gauge",
+      "Event loop lag since the last scrape"
+    );
+    this.define(
+      "process_resident_memory_bytes",
+      "gauge",
+      "Resident memory size"
+    );
+    this.define("process_uptime_seconds", "gauge", "Process uptime");
+    this.addCollector(() => this.collectProcess());
+  }
+
+  /**
+   * Register a metric (again: no-op)
+   * @param {string} name - Metric name, e.g. "tiktok_events_total"
+   * @param {"counter"|"gauge"} type
+   * @param {string} help - Description
+   */
+  define(name, type, help) {
+    if (!this.metrics.has(name)) {
+      this.metrics.set(name, { type, help, series: new Map() });
+    }
+  }
+
+  /**
+   * Add to a counter
+   * @param {string} name - Metric name
+   * @param {Object<string, string>} [labels]
+   * @param {number} [value=1]
+   */
+  increment(name, labels = {}, value = 1) {
+    const series = this.getSeries(name);
+    const key = formatLabels(labels);
+    series.set(key, (series.get(key) || 0) + value);
+  }
+
+  /**
+   * Set a gauge
+   * @param {string} name - Metric name
+   * @param {Object<string, string>} [labels]
+   * @param {number} value
+   */
+  set(name, labels, value) {
+    this.getSeries(name).set(formatLabels(labels || {}), value);
+  }
+
+  /**
+   * Drop all series of a metric (e.g. before a collector re-sets a gauge,
+   * so rooms that are gone disappear)
+   * @param {string} name - Metric name
+   */
+  reset(name) {
+    this.getSeries(name).clear();
+  }
+
+  /**
+   * Run a function before every scrape
+   * @param {function(MetricsService): void} collector
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   * @returns {string}
+   */
+  render() {
+    for (const collector of this.collectors) {
+      try {
+        collector(this);
+      } catch (error) {
+        log.error("Collector failed", { error: error.message });
+      }
+    }
+
+    const lines = [];
+    for (const [name, metric] of this.metrics.entries()) {
+      lines.push(`# HELP ${name} ${metric.help}`);
+      lines.push(`# TYPE ${name} ${metric.type}`);
+      for (const [labels, value] of metric.series.entries()) {
+        lines.push(`${name}${labels} ${value}`);
+      }
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Refresh the process gauges
+   */
+  collectProcess() {
+    // Samples include the sampling interval itself
+    const toSeconds = (ns) =>
+      Number.isFinite(ns)
+        ? Math.max(0, ns / 1e9 - this.loopResolutionMs / 1000)
+        : 0;
+
+    this.reset("nodejs_eventloop_lag_seconds");
+    this.set(
+      "nodejs_eventloop_lag_seconds",
+      { stat: "mean" },
+      toSeconds(this.loopDelay.mean)
+    );
+    this.set(
+      "nodejs_eventloop_lag_seconds",
+      { stat: "p99" },
+      toSeconds(this.loopDelay.percentile(99))
+    );
+    this.set(
+      "nodejs_eventloop_lag_seconds",
+      { stat: "max" },
+      toSeconds(this.loopDelay.max)
+    );
+    this.loopDelay.reset();
+
+    this.set("process_resident_memory_bytes", {}, process.memoryUsage.rss());
+    this.set("process_uptime_seconds", {}, process.uptime());
+  }
+
+  /**
+   * Get the series of a registered metric
+   * @param {string} name - Metric name
+   * @returns {Map<string, number>}
+   */
+  getSeries(name) {
+    const metric = this.metrics.get(name);
+    if (!metric) throw new Error(`Unknown metric: ${name}`);
+    return metric.series;
+  }
+}
+
+// Export singleton instance
+export default new MetricsService();
@@ -0,0 +1,356 @@
+/**
+ * ModerationService.js
+ * Per-room moderation: blocklist, mutes and banned-word masking
+ *
+ * - Blocked viewers: events always dropped (saved to the moderation file)
+ * - Muted viewers: events dropped until unmuted or the mute expires
+ *   (in memory only - meant for mid-stream use)
+ * - Banned words: masked with "***" in nicknames, comments and questions
+ *   (global list + per-room list, case-insensitive)
+ *
+ * MODERATION FILE (JSON):
+ * {
+ *   "bannedWords": ["spamword"],
+ *   "rooms": { "streamer_a": { "blocked": ["bot123"], "bannedWords": ["..."] } }
+ * }
+ *
+ * @module services/ModerationService
+ */
+
+import { existsSync, readFileSync } from "fs";
+import { mkdir, writeFile } from "fs/promises";
+import { dirname, resolve } from "path";
+import logger from "./Logger.js";
+
+const log = logger.child({ component: "ModerationService" });
+
+/**
+ * Escape a string for use in a RegExp
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Viewer-written text fields of raw upstream events
+ * @type {string[]}
+ */
+const MASKED_FIELDS = ["nickname", "comment", "questionText"];
+
+class ModerationService {
+  constructor() {
+    // Singleton pattern - ensure only one instance exists
+    if (ModerationService.instance) {
+      return ModerationService.instance;
+    }
+    ModerationService.instance = this;
+
+    /**
+     * Moderation file path (null = in-memory only)
+     * @type {string|null}
+     */
+    this.file = null;
+
+    /**
+     * Banned words for every room
+     * @type {string[]}
+     */
+    this.bannedWords = [];
+
+    /**
+     * Masking pattern for rooms without their own state
+     * @type {RegExp|null}
+     */
+    this.globalPattern = null;
+
+    /**
+     * Per-room moderation state
+     * @type {Map<string, {blocked: Set<string>, muted: Map<string, number>, bannedWords: string[], pattern: RegExp|null}>}
+     *   muted: uniqueId → expiry timestamp (Infinity = until unmuted)
+     */
+    this.rooms = new Map();
+  }
+
+  /**
+   * Load blocklists and banned words from a JSON file
+   * A missing file is not an error (created on the first change).
+   *
+   * @param {string} file - Moderation file path
+   */
+  load(file) {
+    this.file = resolve(file);
+    this.bannedWords = [];
+    this.globalPattern = null;
+    this.rooms = new Map();
+
+    if (!existsSync(this.file)) return;
+
+    const data = JSON.parse(readFileSync(this.file, "utf8"));
+    this.bannedWords = this.validateWords(data.bannedWords || []);
+    this.globalPattern = this.buildPattern(this.bannedWords);
+
+    for (const [room, entry] of Object.entries(data.rooms || {})) {
+      const state = this.getRoomState(room);
+      (entry.blocked || []).forEach((id) => state.blocked.add(String(id)));
+      state.bannedWords = this.validateWords(entry.bannedWords || []);
+    }
+    this.rooms.forEach((state) => this.compilePattern(state));
+
+    log.info("Loaded moderation lists", {
+      bannedWords: this.bannedWords.length,
+      rooms: this.rooms.size,
+    });
+  }
+
+  /**
+   * Moderate a raw upstream event
+   * @param {string} room - Room ID
+   * @param {{uniqueId: string, nickname?: string, comment?: string, questionText?: string}} data - Raw event data
+   * @returns {Object|null} Data with masked MASKED_FIELDS, or null to drop it
+   */
+  moderate(room, data) {
+    if (this.isSilenced(room, data.uniqueId)) return null;
+
+    const state = this.rooms.get(room);
+    const pattern = state ? state.pattern : this.globalPattern;
+    if (!pattern) return data;
+
+    const masked = { ...data };
+    for (const field of MASKED_FIELDS) {
+      if (typeof data[field] === "string") {
+        masked[field] = data[field].replace(pattern, "***");
+      }
+    }
+    return masked;
+  }
+
+  /**
+   * Check whether a viewer is blocked or muted in a room
+   * @param {string} room - Room ID
+   * @param {string} uniqueId - Viewer uniqueId
+   * @returns {boolean}
+   */
+  isSilenced(room, uniqueId) {
+    const state = this.rooms.get(room);
+    if (!state || !uniqueId) return false;
+    if (state.blocked.has(uniqueId)) return true;
+
+    const mutedUntil = state.muted.get(uniqueId);
+    if (mutedUntil === undefined) return false;
+    if (mutedUntil > Date.now()) return true;
+
+    state.muted.delete(uniqueId); // Mute expired
+    return false;
+  }
+
+  /**
+   * Mute a viewer
+   * @param {string} room - Room ID
+   * @param {string} uniqueId - Viewer uniqueId
+   * @param {number} [durationMs] - Mute duration (omit = until unmuted)
+   */
+  mute(room, uniqueId, durationMs) {
+    this.requireId(uniqueId);
+    if (
+      durationMs !== undefined &&
+      !(
+        typeof durationMs === "number" &&
+        Number.isFinite(durationMs) &&
+        durationMs > 0
+      )
+    ) {
+      throw new Error("durationMs must be a positive number");
+    }
+    this.getRoomState(room).muted.set(
+      uniqueId,
+      durationMs ? Date.now() + durationMs : Infinity
+    );
+    log.info("Viewer muted", { room, user: uniqueId });
+  }
+
+  /**
+   * Unmute a viewer
+   * @param {string} room - Room ID
+   * @param {string} uniqueId - Viewer uniqueId
+   * @returns {boolean} Whether the viewer was muted
+   */
+  unmute(room, uniqueId) {
+    return this.rooms.get(room)?.muted.delete(uniqueId) || false;
+  }
+
+  /**
+   * Block a viewer permanently (saved)
+   * @param {string} room - Room ID
+   * @param {string} uniqueId - Viewer uniqueId
+   * @returns {Promise<void>}
+   * @throws {Error} When invalid, or when it cannot be saved (`error.saveFailed`,
+   *   the viewer is not blocked)
+   */
+  async block(room, uniqueId) {
+    this.requireId(uniqueId);
+    const { blocked } = this.getRoomState(room);
+    if (blocked.has(uniqueId)) return;
+
+    blocked.add(uniqueId);
+    await this.save(() => blocked.delete(uniqueId));
+    log.info("Viewer blocked", { room, user: uniqueId });
+  }
+
+  /**
+   * Remove a viewer from the blocklist (saved)
+   * @param {string} room - Room ID
+   * @param {string} uniqueId - Viewer uniqueId
+   * @returns {Promise<boolean>} Whether the viewer was blocked
+   * @throws {Error} When it cannot be saved (`error.saveFailed`, the viewer
+   *   stays blocked)
+   */
+  async unblock(room, uniqueId) {
+    const blocked = this.rooms.get(room)?.blocked;
+    if (!blocked?.delete(uniqueId)) return false;
+
+    await this.save(() => blocked.add(uniqueId));
+    return true;
+  }
+
+  /**
+   * Replace a room's banned words (saved)
+   * @param {string} room - Room ID
+   * @param {string[]} words - Banned words
+   * @returns {Promise<void>}
+   * @throws {Error} When invalid, or when they cannot be saved
+   *   (`error.saveFailed`, the previous words stay)
+   */
+  async setBannedWords(room, words) {
+    const state = this.getRoomState(room);
+    const previous = state.bannedWords;
+
+    state.bannedWords = this.validateWords(words);
+    this.compilePattern(state);
+    await this.save(() => {
+      state.bannedWords = previous;
+      this.compilePattern(state);
+    });
+  }
+
+  /**
+   * Get a room's moderation state
+   * @param {string} room - Room ID
+   * @returns {{blocked: string[], muted: Array<{uniqueId: string, until: number|null}>, bannedWords: string[], globalBannedWords: string[]}}
+   */
+  getStatus(room) {
+    const state = this.rooms.get(room);
+    const now = Date.now();
+
+    return {
+      blocked: state ? Array.from(state.blocked) : [],
+      muted: state
+        ? Array.from(state.muted.entries())
+            .filter(([, until]) => until > now)
+            .map(([uniqueId, until]) => ({
+              uniqueId,
+              until: until === Infinity ? null : until,
+            }))
+        : [],
+      bannedWords: state ? state.bannedWords : [],
+      globalBannedWords: this.bannedWords,
+    };
+  }
+
+  /**
+   * Write blocklists and banned words back to the moderation file
+   * @param {Function} [undo] - Reverts the change being saved if writing fails
+   * @returns {Promise<void>}
+   * @throws {Error} The write error, with `error.saveFailed` set
+   */
+  async save(undo) {
+    if (!this.file) return;
+
+    const rooms = {};
+    for (const [room, state] of this.rooms.entries()) {
+      if (state.blocked.size === 0 && state.bannedWords.length === 0) continue;
+      rooms[room] = {
+        blocked: Array.from(state.blocked),
+        bannedWords: state.bannedWords,
+      };
+    }
+
+    try {
+      await mkdir(dirname(this.file), { recursive: true });
+      await writeFile(
+        this.file,
+        JSON.stringify({ bannedWords: this.bannedWords, rooms }, null, 2) + "\n"
+      );
+    } catch (error) {
+      undo?.();
+      error.saveFailed = true;
+      throw error;
+    }
+  }
+
+  /**
+   * Get (or create) a room's moderation state
+   * @param {string} room - Room ID
+   * @returns {Object}
+   */
+  getRoomState(room) {
+    if (!this.rooms.has(room)) {
+      const state = {
+        blocked: new Set(),
+        muted: new Map(),
+        bannedWords: [],
+        pattern: null,
+      };
+      this.compilePattern(state);
+      this.rooms.set(room, state);
+    }
+    return this.rooms.get(room);
+  }
+
+  /**
+   * Compile the masking pattern of a room (global + room words)
+   * @param {Object} state - Room state
+   */
+  compilePattern(state) {
+    state.pattern = this.buildPattern([
+      ...this.bannedWords,
+      ...state.bannedWords,
+    ]);
+  }
+
+  /**
+   * Build a case-insensitive RegExp matching any of the words
+   * @param {string[]} words
+   * @returns {RegExp|null}
+   */
+  buildPattern(words) {
+    if (words.length === 0) return null;
+    return new RegExp(words.map(escapeRegExp).join("|"), "giu");
+  }
+
+  /**
+   * Validate a banned word list
+   * @param {string[]} words
+   * @returns {string[]} Trimmed, non-empty words
+   */
+  validateWords(words) {
+    if (!Array.isArray(words) || words.some((w) => typeof w !== "string")) {
+      throw new Error("bannedWords must be an array of strings");
+    }
+    return words.map((w) => w.trim()).filter(Boolean);
+  }
+
+  /**
+   * Throw if a viewer ID is missing
+   * @param {string} uniqueId
+   */
+  requireId(uniqueId) {
+    if (!uniqueId || typeof uniqueId !== "string") {
+      throw new Error("uniqueId is required");
+    }
+  }
+}
+
+// Export singleton instance
+export default new ModerationService();
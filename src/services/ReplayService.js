@@ -0,0 +1,309 @@
+/**
+ * ReplayService.js
+ * Replays recorded NDJSON sessions (see SessionRecorder) into a room
+ *
+ * - Events are emitted through TikTokService.emitToRoom(), exactly like
+ *   live events, so games cannot tell a replay from a live stream
+ * - `timestamp` fields are shifted to the replay time
+ * - Speed: any positive multiplier (1 = real time, 10 = 10x) or "max"
+ * - Paused replays can be single-stepped and seeked
+ *
+ * @module services/ReplayService
+ */
+
+import { readFile } from "fs/promises";
+import tiktokService from "./TikTokService.js";
+import sessionRecorder from "./SessionRecorder.js";
+import logger from "./Logger.js";
+
+const log = logger.child({ component: "ReplayService" });
+
+/**
+ * Events emitted per tick at "max" speed before yielding to the event loop
+ */
+const MAX_SPEED_BATCH = 50;
+
+class ReplayService {
+  constructor() {
+    // Singleton pattern - ensure only one instance exists
+    if (ReplayService.instance) {
+      return ReplayService.instance;
+    }
+    ReplayService.instance = this;
+
+    /**
+     * Replay sessions per room
+     * @type {Map<string, {file: string, events: Object[], position: number, speed: number|"max", state: string, timer: NodeJS.Timeout|null, io: import('socket.io').Server}>}
+     */
+    this.replays = new Map();
+  }
+
+  /**
+   * Load a recording and start playing it into a room
+   * Replaces any replay already running in that room.
+   *
+   * @param {import('socket.io').Server} io - Socket.io server instance
+   * @param {string} room - Target room ID
+   * @param {string} file - Recording path (as listed by SessionRecorder),
+   *   one of the target room's own recordings
+   * @param {{speed?: number|"max", paused?: boolean}} [options]
+   * @returns {Promise<Object>} Replay status
+   */
+  async start(io, room, file, options = {}) {
+    const content = await readFile(
+      sessionRecorder.resolveFile(file, room),
+      "utf8"
+    );
+    const events = content
+      .split("\n")
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line));
+
+    this.stop(room);
+    this.replays.set(room, {
+      file,
+      events,
+      position: 0,
+      speed: this.parseSpeed(options.speed ?? 1),
+      state: "paused",
+      timer: null,
+      io,
+    });
+
+    log.info("Replay started", { room, file, events: events.length });
+
+    if (!options.paused) this.resume(room);
+    return this.getStatus(room);
+  }
+
+  /**
+   * Pause a replay
+   * @param {string} room - Room ID
+   * @returns {Object} Replay status
+   */
+  pause(room) {
+    const replay = this.getReplay(room);
+    clearTimeout(replay.timer);
+    replay.timer = null;
+    if (replay.state === "playing") replay.state = "paused";
+    return this.getStatus(room);
+  }
+
+  /**
+   * Resume (or start) playing a replay
+   * @param {string} room - Room ID
+   * @returns {Object} Replay status
+   */
+  resume(room) {
+    const replay = this.getReplay(room);
+    if (replay.state === "playing") return this.getStatus(room);
+
+    if (replay.position >= replay.events.length) {
+      replay.state = "finished";
+      return this.getStatus(room);
+    }
+
+    replay.state = "playing";
+    this.scheduleNext(room, replay, 0);
+    return this.getStatus(room);
+  }
+
+  /**
+   * Emit exactly one event, then stay paused
+   * @param {string} room - Room ID
+   * @returns {Object} Replay status
+   */
+  step(room) {
+    const replay = this.getReplay(room);
+    this.pause(room);
+
+    if (replay.position < replay.events.length) {
+      this.emitEvent(room, replay);
+    }
+    if (replay.position >= replay.events.length) {
+      replay.state = "finished";
+    }
+    return this.getStatus(room);
+  }
+
+  /**
+   * Move the replay cursor
+   * @param {string} room - Room ID
+   * @param {{position?: number, offsetMs?: number}} target - Event index, or
+   *   time offset from the first recorded event
+   * @returns {Object} Replay status
+   */
+  seek(room, { position, offsetMs }) {
+    const replay = this.getReplay(room);
+    const { events } = replay;
+    let index;
+
+    if (Number.isInteger(position)) {
+      index = position;
+    } else if (Number.isFinite(offsetMs)) {
+      const target = (events[0]?.ts || 0) + offsetMs;
+      index = events.findIndex((e) => e.ts >= target);
+      if (index === -1) index = events.length;
+    } else {
+      throw new Error("seek requires a position or offsetMs");
+    }
+
+    replay.position = Math.max(0, Math.min(index, events.length));
+
+    // Restart the timer so the next delay is measured from the new position
+    if (replay.state === "playing") {
+      clearTimeout(replay.timer);
+      this.scheduleNext(room, replay, 0);
+    } else {
+      replay.state = replay.position >= events.length ? "finished" : "paused";
+    }
+    return this.getStatus(room);
+  }
+
+  /**
+   * Change replay speed
+   * @param {string} room - Room ID
+   * @param {number|"max"} speed - Multiplier or "max"
+   * @returns {Object} Replay status
+   */
+  setSpeed(room, speed) {
+    const replay = this.getReplay(room);
+    replay.speed = this.parseSpeed(speed);
+
+    if (replay.state === "playing") {
+      clearTimeout(replay.timer);
+      this.scheduleNext(room, replay, 0);
+    }
+    return this.getStatus(room);
+  }
+
+  /**
+   * Stop and forget a replay
+   * @param {string} room - Room ID
+   * @returns {Object|null} Final status, or null if nothing was replaying
+   */
+  stop(room) {
+    if (!this.replays.has(room)) return null;
+
+    const replay = this.replays.get(room);
+    clearTimeout(replay.timer);
+    replay.state = "stopped";
+    const status = this.getStatus(room);
+    this.replays.delete(room);
+
+    log.info("Replay stopped", { room });
+    return status;
+  }
+
+  /**
+   * Get replay status
+   * @param {string} room - Room ID
+   * @returns {Object|null}
+   */
+  getStatus(room) {
+    const replay = this.replays.get(room);
+    if (!replay) return null;
+
+    const { events, position } = replay;
+    const firstTs = events[0]?.ts || 0;
+    const current = events[Math.min(position, events.length - 1)];
+
+    return {
+      room,
+      file: replay.file,
+      state: replay.state,
+      speed: replay.speed,
+      position,
+      total: events.length,
+      offsetMs: current ? current.ts - firstTs : 0,
+      durationMs: events.length ? events[events.length - 1].ts - firstTs : 0,
+    };
+  }
+
+  /**
+   * Get a replay or throw if the room has none
+   * @param {string} room - Room ID
+   * @returns {Object}
+   */
+  getReplay(room) {
+    const replay = this.replays.get(room);
+    if (!replay) {
+      throw new Error(`No replay in room: ${room}`);
+    }
+    return replay;
+  }
+
+  /**
+   * Validate a speed value
+   * @param {number|string} speed
+   * @returns {number|"max"}
+   */
+  parseSpeed(speed) {
+    if (speed === "max") return "max";
+    const value = Number(speed);
+    if (!(value > 0)) {
+      throw new Error(`Invalid replay speed: ${speed}`);
+    }
+    return value;
+  }
+
+  /**
+   * Schedule the next event according to recorded gaps and speed
+   * @param {string} room - Room ID
+   * @param {Object} replay - Replay entry
+   * @param {number} [delay] - Override delay in ms
+   */
+  scheduleNext(room, replay, delay) {
+    if (replay.state !== "playing") return;
+
+    if (replay.position >= replay.events.length) {
+      replay.state = "finished";
+      replay.timer = null;
+      log.info("Replay finished", { room });
+      return;
+    }
+
+    if (replay.speed === "max") {
+      replay.timer = setTimeout(() => {
+        for (
+          let i = 0;
+          i < MAX_SPEED_BATCH && replay.position < replay.events.length;
+          i++
+        ) {
+          this.emitEvent(room, replay);
+        }
+        this.scheduleNext(room, replay);
+      }, 0);
+      return;
+    }
+
+    if (delay === undefined) {
+      const prev = replay.events[replay.position - 1];
+      const next = replay.events[replay.position];
+      delay = prev ? Math.max(0, next.ts - prev.ts) / replay.speed : 0;
+    }
+
+    replay.timer = setTimeout(() => {
+      this.emitEvent(room, replay);
+      this.scheduleNext(room, replay);
+    }, delay);
+  }
+
+  /**
+   * Emit the event at the cursor and advance
+   * @param {string} room - Room ID
+   * @param {Object} replay - Replay entry
+   */
+  emitEvent(room, replay) {
+    const { event, data } = replay.events[replay.position++];
+    const payload =
+      data && data.timestamp !== undefined
+        ? { ...data, timestamp: Date.now() }
+        : data;
+
+    tiktokService.emitToRoom(replay.io, room, event, payload);
+  }
+}
+
+// Export singleton instance
+export default new ReplayService();
@@ -0,0 +1,241 @@
+/**
+ * RoomAuthService.js
+ * Streamer tokens per room - separates overlays from room controllers
+ *
+ * Each claimed room has two secrets:
+ * - overlayToken: embedded in the overlay URL (?token=...). Allows joining
+ *   the room and receiving events (read-only).
+ * - controlKey: kept by the streamer (dashboard). Allows everything an
+ *   overlay can do PLUS control actions (replay, moderation, config).
+ *
+ * Only SHA-256 hashes are stored. The first dashboard to claim a room
+ * owns it; tokens can be rotated with the current control key.
+ *
+ * Operators use a separate admin key (ADMIN_KEY) for the admin API, which
+ * acts on every room. Without it, the admin API is disabled.
+ *
+ * @module services/RoomAuthService
+ */
+
+import { createHash, randomBytes, timingSafeEqual } from "crypto";
+import { existsSync, readFileSync } from "fs";
+import { mkdir, writeFile } from "fs/promises";
+import { dirname, resolve } from "path";
+import logger from "./Logger.js";
+
+const log = logger.child({ component: "RoomAuthService" });
+
+/**
+ * Hash a token for storage
+ * @param {string} token
+ * @returns {string} Hex SHA-256
+ */
+function hashToken(token) {
+  return createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Constant-time comparison of a token against a stored hash
+ * @param {string} token - Token given by the client
+ * @param {string} hash - Stored hash
+ * @returns {boolean}
+ */
+function matches(token, hash) {
+  if (!token || !hash) return false;
+  return timingSafeEqual(
+    Buffer.from(hashToken(token), "hex"),
+    Buffer.from(hash, "hex")
+  );
+}
+
+class RoomAuthService {
+  constructor() {
+    // Singleton pattern - ensure only one instance exists
+    if (RoomAuthService.instance) {
+      return RoomAuthService.instance;
+    }
+    RoomAuthService.instance = this;
+
+    /**
+     * Token file path (null = in-memory only)
+     * @type {string|null}
+     */
+    this.file = null;
+
+    /**
+     * Token hashes per room
+     * @type {Map<string, {overlayHash: string, controlHash: string, claimedAt: number}>}
+     */
+    this.rooms = new Map();
+
+    /**
+     * Reject overlays of unclaimed rooms (see configure())
+     * @type {boolean}
+     */
+    this.requireClaim = false;
+
+    /**
+     * Hash of the admin key (null = admin API disabled)
+     * @type {string|null}
+     */
+    this.adminHash = null;
+  }
+
+  /**
+   * Configure authentication
+   * @param {{requireClaim?: boolean, adminKey?: string}} options
+   *   requireClaim - Rooms must be claimed before anyone can join them
+   *   adminKey - Enables the admin API ("" disables it)
+   */
+  configure(options = {}) {
+    if (options.requireClaim !== undefined) {
+      this.requireClaim = Boolean(options.requireClaim);
+    }
+    if (options.adminKey !== undefined) {
+      this.adminHash = options.adminKey ? hashToken(options.adminKey) : null;
+    }
+  }
+
+  /**
+   * Load token hashes from a JSON file
+   * @param {string} file - Token file path
+   */
+  load(file) {
+    this.file = resolve(file);
+    this.rooms = new Map();
+
+    if (!existsSync(this.file)) return;
+
+    const data = JSON.parse(readFileSync(this.file, "utf8"));
+    for (const [room, entry] of Object.entries(data.rooms || {})) {
+      this.rooms.set(room, entry);
+    }
+    log.info("Loaded claimed rooms", { rooms: this.rooms.size });
+  }
+
+  /**
+   * Claim a room, or rotate its tokens
+   * @param {string} room - Room ID
+   * @param {string} [controlKey] - Current control key (required once claimed)
+   * @returns {Promise<{room: string, overlayToken: string, controlKey: string}>}
+   *   New plain-text tokens (only returned here, never stored)
+   * @throws {Error} When claimed by someone else, or when the tokens cannot be
+   *   saved (the previous tokens stay valid)
+   */
+  async claim(room, controlKey) {
+    if (this.isClaimed(room) && !this.canControl(room, controlKey)) {
+      throw new Error(
+        `Room ${room} is already claimed. Use its control key to rotate tokens.`
+      );
+    }
+
+    const overlayToken = randomBytes(12).toString("hex");
+    const newControlKey = randomBytes(24).toString("hex");
+    const previous = this.rooms.get(room);
+
+    this.rooms.set(room, {
+      overlayHash: hashToken(overlayToken),
+      controlHash: hashToken(newControlKey),
+      claimedAt: Date.now(),
+    });
+    try {
+      await this.save();
+    } catch (error) {
+      // Keep the tokens that are on disk (and known to the streamer)
+      if (previous) this.rooms.set(room, previous);
+      else this.rooms.delete(room);
+      throw error;
+    }
+
+    log.info("Room claimed", { room });
+    return { room, overlayToken, controlKey: newControlKey };
+  }
+
+  /**
+   * Release a room (anyone can claim it again)
+   * @param {string} room - Room ID
+   * @returns {Promise<void>}
+   */
+  async release(room) {
+    const previous = this.rooms.get(room);
+    if (!previous) return;
+
+    this.rooms.delete(room);
+    try {
+      await this.save();
+    } catch (error) {
+      this.rooms.set(room, previous);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a room has tokens
+   * @param {string} room - Room ID
+   * @returns {boolean}
+   */
+  isClaimed(room) {
+    return this.rooms.has(room);
+  }
+
+  /**
+   * Resolve the role a token grants in a room
+   * @param {string} room - Room ID
+   * @param {string} [token] - Overlay token or control key
+   * @returns {"control"|"overlay"|null} null = not allowed to join
+   */
+  getRole(room, token) {
+    const entry = this.rooms.get(room);
+
+    if (!entry) return this.requireClaim ? null : "overlay";
+    if (matches(token, entry.controlHash)) return "control";
+    if (matches(token, entry.overlayHash)) return "overlay";
+    return null;
+  }
+
+  /**
+   * Check whether a key allows control actions in a room
+   * Unclaimed rooms cannot be controlled - claim them first.
+   *
+   * @param {string} room - Room ID
+   * @param {string} [controlKey]
+   * @returns {boolean}
+   */
+  canControl(room, controlKey) {
+    return matches(controlKey, this.rooms.get(room)?.controlHash);
+  }
+
+  /**
+   * Check whether an admin key is configured
+   * @returns {boolean}
+   */
+  hasAdminKey() {
+    return this.adminHash !== null;
+  }
+
+  /**
+   * Check whether a key is the admin key
+   * @param {string} [adminKey]
+   * @returns {boolean}
+   */
+  isAdmin(adminKey) {
+    return matches(adminKey, this.adminHash);
+  }
+
+  /**
+   * Write token hashes back to the token file
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.file) return;
+
+    await mkdir(dirname(this.file), { recursive: true });
+    await writeFile(
+      this.file,
+      JSON.stringify({ rooms: Object.fromEntries(this.rooms) }, null, 2) + "\n"
+    );
+  }
+}
+
+// Export singleton instance
+export default new RoomAuthService();
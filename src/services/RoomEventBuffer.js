@@ -0,0 +1,138 @@
+/**
+ * RoomEventBuffer.js
+ * Sequence numbers + bounded backlog of recent events per room
+ *
+ * - Every room event gets `seq`: 1, 2, 3... per room, never reused while
+ *   the server runs (also across reconnects of the live connection)
+ * - The last `capacity` events of each room are kept in a ring buffer, so a
+ *   reloaded overlay can ask for everything after the last seq it saw
+ * - `epoch` changes on every server start: sequence numbers from another
+ *   epoch are meaningless and the whole backlog is sent instead
+ * - Numbers, epoch and backlog are per process: with several processes,
+ *   only the room's owner numbers and keeps its upstream events, so resume
+ *   only works for clients of the owner (followers answer "not complete")
+ *
+ * @module services/RoomEventBuffer
+ */
+
+class RoomEventBuffer {
+  constructor() {
+    // Singleton pattern - ensure only one instance exists
+    if (RoomEventBuffer.instance) {
+      return RoomEventBuffer.instance;
+    }
+    RoomEventBuffer.instance = this;
+
+    /**
+     * Events kept per room
+     * @type {number}
+     */
+    this.capacity = 500;
+
+    /**
+     * Server run identifier
+     * @type {string}
+     */
+    this.epoch = Date.now().toString(36);
+
+    /**
+     * Buffer state per room
+     * @type {Map<string, {seq: number, entries: Array<{seq: number, event: string, data: Object}|undefined>}>}
+     *   entries: ring buffer, the event with sequence `s` is at `s % capacity`
+     */
+    this.rooms = new Map();
+  }
+
+  /**
+   * Configure the buffer
+   * @param {{capacity?: number}} options
+   *   capacity - Events kept per room (0 disables the backlog, seq is kept)
+   */
+  configure(options = {}) {
+    if (options.capacity !== undefined) {
+      if (!(Number.isInteger(options.capacity) && options.capacity >= 0)) {
+        throw new Error("capacity must be an integer >= 0");
+      }
+      this.capacity = options.capacity;
+      this.rooms.forEach((state) => (state.entries = []));
+    }
+  }
+
+  /**
+   * Number and store an event
+   * @param {string} room - Room ID
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   * @returns {Object} Payload with `seq` (what clients receive)
+   */
+  push(room, event, data) {
+    const state = this.getRoomState(room);
+    const seq = ++state.seq;
+    const payload = { ...data, seq };
+
+    if (this.capacity > 0) {
+      state.entries[seq % this.capacity] = { seq, event, data: payload };
+    }
+    return payload;
+  }
+
+  /**
+   * Get the buffered events after a sequence number
+   * @param {string} room - Room ID
+   * @param {number} lastSeq - Last seq the client received
+   * @param {string} [epoch] - Epoch of lastSeq (from "room-joined")
+   * @returns {{events: Array<{seq: number, event: string, data: Object}>, complete: boolean}}
+   *   complete = false when older events were already dropped
+   */
+  getSince(room, lastSeq, epoch) {
+    const state = this.rooms.get(room);
+    // Another server run (or a seq from the future): send everything
+    const from =
+      epoch === this.epoch && lastSeq <= (state?.seq || 0) ? lastSeq : 0;
+
+    if (!state) return { events: [], complete: from === 0 };
+
+    const events = [];
+    const oldest = Math.max(from + 1, state.seq - this.capacity + 1, 1);
+    for (let seq = oldest; seq <= state.seq; seq++) {
+      const entry = state.entries[seq % this.capacity];
+      if (entry?.seq === seq) events.push(entry);
+    }
+
+    const firstSeq = events.length > 0 ? events[0].seq : state.seq + 1;
+    return { events, complete: firstSeq === from + 1 };
+  }
+
+  /**
+   * Get the last sequence number of a room
+   * @param {string} room - Room ID
+   * @returns {number} 0 if nothing was sent yet
+   */
+  getLastSeq(room) {
+    return this.rooms.get(room)?.seq || 0;
+  }
+
+  /**
+   * Drop a room's buffered events (the sequence counter is kept)
+   * @param {string} room - Room ID
+   */
+  clear(room) {
+    const state = this.rooms.get(room);
+    if (state) state.entries = [];
+  }
+
+  /**
+   * Get (or create) a room's buffer state
+   * @param {string} room - Room ID
+   * @returns {Object}
+   */
+  getRoomState(room) {
+    if (!this.rooms.has(room)) {
+      this.rooms.set(room, { seq: 0, entries: [] });
+    }
+    return this.rooms.get(room);
+  }
+}
+
+// Export singleton instance
+export default new RoomEventBuffer();
@@ -0,0 +1,254 @@
+/**
+ * RoomSettingsService.js
+ * Per-room settings read by the server and pushed to overlays
+ *
+ * SETTINGS (every key optional, missing keys use the defaults):
+ * {
+ *   "language": "vi",                      // chat commands of one language only (null = all)
+ *   "commands": { "attack": ["pew"] },     // extra command words of the room
+ *   "fuzzy": true,                         // accept one typo in command words
+ *   "games": { "boss-raid": { "bossHp": 80000 } }
+ * }
+ * - Game settings are validated against GAME_SETTINGS (unknown games and
+ *   keys are rejected); get() fills in each game's defaults
+ * - The server uses language and commands to parse chat commands;
+ *   overlays receive the whole settings as "room_settings" (on join and
+ *   after every change)
+ *
+ * @module services/RoomSettingsService
+ */
+
+import { existsSync, readFileSync } from "fs";
+import { mkdir, writeFile } from "fs/promises";
+import { dirname, resolve } from "path";
+import commandRouter from "./CommandRouter.js";
+import { checkSchema } from "./Schema.js";
+import logger from "./Logger.js";
+
+const log = logger.child({ component: "RoomSettingsService" });
+
+/**
+ * Settings of each game: defaults and schema of every key
+ * @type {Object<string, {defaults: Object, properties: Object}>}
+ */
+export const GAME_SETTINGS = {
+  "boss-raid": {
+    defaults: { bossHp: 50000, bossName: "RAID BOSS" },
+    properties: {
+      bossHp: { type: "integer", min: 1000, max: 10000000 },
+      bossName: { type: "string", maxLength: 30 },
+    },
+  },
+  "onslaught-arena": {
+    // How long one chat command holds a key down
+    defaults: { keyPulseMs: 500 },
+    properties: {
+      keyPulseMs: { type: "integer", min: 100, max: 3000 },
+    },
+  },
+};
+
+/**
+ * Shape of a settings update (see services/Schema)
+ */
+const SCHEMA = {
+  type: "object",
+  properties: {
+    language: { type: "string", nullable: true },
+    fuzzy: { type: "boolean" },
+    commands: {
+      type: "object",
+      values: {
+        type: "array",
+        maxItems: 10,
+        items: { type: "string", maxLength: 30 },
+      },
+    },
+    games: {
+      type: "object",
+      properties: Object.fromEntries(
+        Object.entries(GAME_SETTINGS).map(([game, { properties }]) => [
+          game,
+          { type: "object", properties },
+        ])
+      ),
+    },
+  },
+};
+
+class RoomSettingsService {
+  constructor() {
+    // Singleton pattern - ensure only one instance exists
+    if (RoomSettingsService.instance) {
+      return RoomSettingsService.instance;
+    }
+    RoomSettingsService.instance = this;
+
+    /**
+     * Settings file path (null = in-memory only)
+     * @type {string|null}
+     */
+    this.file = null;
+
+    /**
+     * Settings changed per room (without defaults)
+     * @type {Map<string, {language?: string|null, commands?: Object<string, string[]>, fuzzy?: boolean, games?: Object<string, Object>}>}
+     */
+    this.rooms = new Map();
+  }
+
+  /**
+   * Load room settings from a JSON file
+   * @param {string} file - Settings file path
+   */
+  load(file) {
+    this.file = resolve(file);
+    this.rooms = new Map();
+
+    if (!existsSync(this.file)) return;
+
+    const data = JSON.parse(readFileSync(this.file, "utf8"));
+    for (const [room, settings] of Object.entries(data.rooms || {})) {
+      this.rooms.set(room, settings);
+    }
+    log.info("Loaded room settings", { rooms: this.rooms.size });
+  }
+
+  /**
+   * Get a room's effective settings (defaults included)
+   * @param {string} room - Room ID
+   * @returns {{language: string|null, commands: Object<string, string[]>, fuzzy: boolean, games: Object<string, Object>}}
+   */
+  get(room) {
+    const settings = this.rooms.get(room) || {};
+    const games = {};
+    for (const [game, { defaults }] of Object.entries(GAME_SETTINGS)) {
+      games[game] = { ...defaults, ...settings.games?.[game] };
+    }
+
+    return {
+      language: settings.language ?? null,
+      commands: settings.commands || {},
+      fuzzy: settings.fuzzy ?? false,
+      games,
+    };
+  }
+
+  /**
+   * Change a room's settings (partial update)
+   * - language, fuzzy: replaced (language null = all languages)
+   * - commands: replaced per command (an empty list removes the words)
+   * - games: merged per game and key
+   *
+   * @param {string} room - Room ID
+   * @param {Object} update - Settings to change
+   * @returns {Promise<Object>} Effective settings
+   * @throws {Error} When invalid (`error.errors` lists every problem), or
+   *   when they cannot be saved (`error.saveFailed`, the settings stay)
+   */
+  async update(room, update) {
+    this.validate(update);
+
+    const previous = this.rooms.get(room);
+    const current = previous || {};
+    const next = { ...current };
+
+    if (update.language !== undefined) next.language = update.language;
+    if (update.fuzzy !== undefined) next.fuzzy = update.fuzzy;
+
+    if (update.commands) {
+      const commands = { ...current.commands, ...update.commands };
+      for (const [name, words] of Object.entries(commands)) {
+        if (words.length === 0) delete commands[name];
+      }
+      next.commands = commands;
+    }
+
+    if (update.games) {
+      next.games = { ...current.games };
+      for (const [game, values] of Object.entries(update.games)) {
+        next.games[game] = { ...next.games[game], ...values };
+      }
+    }
+
+    this.rooms.set(room, next);
+    await this.save(() => {
+      if (previous) this.rooms.set(room, previous);
+      else this.rooms.delete(room);
+    });
+
+    log.info("Room settings updated", { room, keys: Object.keys(update) });
+    return this.get(room);
+  }
+
+  /**
+   * Restore a room's default settings
+   * @param {string} room - Room ID
+   * @returns {Promise<boolean>} Whether the room had settings
+   */
+  async reset(room) {
+    const previous = this.rooms.get(room);
+    if (!this.rooms.delete(room)) return false;
+
+    await this.save(() => this.rooms.set(room, previous));
+    return true;
+  }
+
+  /**
+   * Validate a settings update
+   * @param {Object} update
+   * @throws {Error} When invalid; `error.errors` lists every problem
+   */
+  validate(update) {
+    const errors = [];
+    checkSchema(update, SCHEMA, "", errors);
+
+    // Checks that need the command registry
+    const languages = commandRouter.getLanguages();
+    if (
+      typeof update?.language === "string" &&
+      !languages.includes(update.language)
+    ) {
+      errors.push(`language: must be one of: ${languages.join(", ")}`);
+    }
+    if (typeof update?.commands === "object" && update.commands !== null) {
+      for (const name of Object.keys(update.commands)) {
+        if (!commandRouter.commands.has(name)) {
+          errors.push(`commands.${name}: unknown command`);
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(errors.join("; "));
+      error.errors = errors;
+      throw error;
+    }
+  }
+
+  /**
+   * Write room settings back to the settings file
+   * @param {Function} [undo] - Reverts the change being saved if writing fails
+   * @returns {Promise<void>}
+   * @throws {Error} The write error, with `error.saveFailed` set
+   */
+  async save(undo) {
+    if (!this.file) return;
+
+    try {
+      await mkdir(dirname(this.file), { recursive: true });
+      await writeFile(
+        this.file,
+        JSON.stringify({ rooms: Object.fromEntries(this.rooms) }, null, 2) +
+          "\n"
+      );
+    } catch (error) {
+      undo?.();
+      error.saveFailed = true;
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+export default new RoomSettingsService();
@@ -0,0 +1,99 @@
+/**
+ * Schema.js
+ * Minimal JSON shape validation (server config, room settings, ingested events)
+ *
+ * SCHEMA NODES:
+ * - object: `properties` (known keys only) or `values` (any key),
+ *   `required` (keys that must be set)
+ * - array: `items`, `maxItems`
+ * - integer / number: `min`, `max`
+ * - string: `enum`, `maxLength`
+ * - boolean
+ * - any: free-form, checked by the service that uses it
+ * - `nullable: true` accepts null for any type
+ *
+ * Errors are collected with their key path ("server.port: must be an
+ * integer between 1 and 65535"), so every problem is reported at once.
+ *
+ * @module services/Schema
+ */
+
+/**
+ * Check a value against a schema node
+ * Undefined object values are skipped (unset optional keys).
+ *
+ * @param {*} value
+ * @param {Object} spec - Schema node
+ * @param {string} path - Key path for messages ("server.port")
+ * @param {string[]} errors - Collected messages
+ */
+export function checkSchema(value, spec, path, errors) {
+  const fail = (message) => errors.push(`${path || "(root)"}: ${message}`);
+
+  if (spec.type === "any" || (value === null && spec.nullable)) return;
+
+  switch (spec.type) {
+    case "object":
+      if (typeof value !== "object" || value === null || Array.isArray(value)) {
+        return fail("must be an object");
+      }
+      for (const key of spec.required || []) {
+        if (value[key] === undefined) {
+          errors.push(`${path ? `${path}.${key}` : key}: is required`);
+        }
+      }
+      for (const [key, item] of Object.entries(value)) {
+        if (item === undefined) continue;
+        const itemPath = path ? `${path}.${key}` : key;
+        // Own keys only: "constructor", "toString"... are unknown keys too
+        const itemSpec =
+          spec.values ||
+          (Object.hasOwn(spec.properties, key) ? spec.properties[key] : null);
+        if (!itemSpec) {
+          errors.push(`${itemPath}: unknown key`);
+        } else {
+          checkSchema(item, itemSpec, itemPath, errors);
+        }
+      }
+      return;
+    case "array":
+      if (!Array.isArray(value)) return fail("must be an array");
+      if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+        return fail(`must have at most ${spec.maxItems} items`);
+      }
+      value.forEach((item, i) =>
+        checkSchema(item, spec.items, `${path}[${i}]`, errors)
+      );
+      return;
+    case "integer":
+    case "number": {
+      const min = spec.min ?? -Infinity;
+      const max = spec.max ?? Infinity;
+      const isInteger = spec.type === "integer";
+      if (
+        typeof value !== "number" ||
+        !Number.isFinite(value) ||
+        (isInteger && !Number.isInteger(value)) ||
+        value < min ||
+        value > max
+      ) {
+        const range =
+          max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+        fail(`must be ${isInteger ? "an integer" : "a number"} ${range}`);
+      }
+      return;
+    }
+    case "boolean":
+      if (typeof value !== "boolean") fail("must be true or false");
+      return;
+    case "string":
+      if (typeof value !== "string") return fail("must be a string");
+      if (spec.enum && !spec.enum.includes(value)) {
+        fail(`must be one of: ${spec.enum.join(", ")}`);
+      }
+      if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+        fail(`must be at most ${spec.maxLength} characters`);
+      }
+      return;
+  }
+}
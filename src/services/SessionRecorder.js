@@ -0,0 +1,314 @@
+/**
+ * SessionRecorder.js
+ * Records every event emitted to a room into NDJSON files
+ *
+ * FILE LAYOUT:
+ * - recordings/<room>/<ISO timestamp>.ndjson
+ * - One JSON object per line: { ts, room, event, data }
+ *
+ * ROTATION:
+ * - By size: a new file is started once `maxBytes` is reached
+ * - By session: a new file is started on every `tiktok_connected`
+ *
+ * @module services/SessionRecorder
+ */
+
+import { createWriteStream, existsSync, mkdirSync } from "fs";
+import { readdir, stat } from "fs/promises";
+import { join, resolve, sep } from "path";
+import logger from "./Logger.js";
+
+const log = logger.child({ component: "SessionRecorder" });
+
+/**
+ * Make a room ID safe to use as a directory name ("mock:alice" → "mock_alice")
+ * @param {string} room - Room ID
+ * @returns {string}
+ */
+export function safeRoomName(room) {
+  return room.replace(/[^a-z0-9_.-]/gi, "_");
+}
+
+class SessionRecorder {
+  constructor() {
+    // Singleton pattern - ensure only one instance exists
+    if (SessionRecorder.instance) {
+      return SessionRecorder.instance;
+    }
+    SessionRecorder.instance = this;
+
+    /**
+     * Active recordings per room
+     * @type {Map<string, {stream: import('fs').WriteStream, file: string, bytes: number, events: number, startedAt: number, options: Object}>}
+     */
+    this.recordings = new Map();
+
+    /**
+     * Recorder options (see configure())
+     */
+    this.options = {
+      dir: resolve("recordings"),
+      maxBytes: 10 * 1024 * 1024, // 10 MB
+      rotateOnSession: true,
+      autoRecord: false,
+    };
+  }
+
+  /**
+   * Configure the recorder
+   * @param {Object} options
+   * @param {string} [options.dir] - Root directory for recordings
+   * @param {number} [options.maxBytes] - Rotate after this many bytes
+   * @param {boolean} [options.rotateOnSession] - Rotate on each new live session
+   * @param {boolean} [options.autoRecord] - Record every room automatically
+   */
+  configure(options = {}) {
+    this.options = { ...this.options, ...options };
+    this.options.dir = resolve(this.options.dir);
+  }
+
+  /**
+   * Start recording a room
+   * @param {string} room - Room ID
+   * @param {{maxBytes?: number, rotateOnSession?: boolean}} [options]
+   * @returns {Object} Recording status
+   * @throws {Error} When the room's directory cannot be created (the room is
+   *   not recorded)
+   */
+  start(room, options = {}) {
+    if (this.recordings.has(room)) {
+      return this.getStatus(room);
+    }
+
+    const recording = {
+      stream: null,
+      file: null,
+      bytes: 0,
+      events: 0,
+      startedAt: Date.now(),
+      options: {
+        maxBytes: options.maxBytes || this.options.maxBytes,
+        rotateOnSession:
+          options.rotateOnSession ?? this.options.rotateOnSession,
+      },
+    };
+    this.openFile(room, recording);
+    this.recordings.set(room, recording);
+
+    log.info("Recording started", { room, file: recording.file });
+    return this.getStatus(room);
+  }
+
+  /**
+   * Stop recording a room and close its file
+   * @param {string} room - Room ID
+   * @returns {Promise<Object|null>} Final status, or null if not recording
+   */
+  async stop(room) {
+    const recording = this.recordings.get(room);
+    if (!recording) return null;
+
+    const status = this.getStatus(room);
+    this.recordings.delete(room);
+    await this.closeStream(recording.stream);
+
+    log.info("Recording stopped", { room, events: recording.events });
+    return status;
+  }
+
+  /**
+   * Stop all recordings (used on shutdown)
+   * @returns {Promise<void>}
+   */
+  async stopAll() {
+    await Promise.all(
+      Array.from(this.recordings.keys()).map((room) => this.stop(room))
+    );
+  }
+
+  /**
+   * Record an event emitted to a room
+   * No-op unless the room is being recorded (or autoRecord is on).
+   *
+   * @param {string} room - Room ID
+   * @param {string} event - Socket.io event name
+   * @param {Object} data - Event payload
+   */
+  record(room, event, data) {
+    if (!this.recordings.has(room)) {
+      if (!this.options.autoRecord) return;
+      try {
+        this.start(room);
+      } catch (error) {
+        log.error("Cannot start recording", { room, error: error.message });
+        return;
+      }
+    }
+
+    const recording = this.recordings.get(room);
+
+    // Session rotation: a new live session starts a new file
+    if (
+      event === "tiktok_connected" &&
+      recording.options.rotateOnSession &&
+      recording.events > 0 &&
+      !this.rotate(room, recording)
+    ) {
+      return;
+    }
+
+    const line = JSON.stringify({ ts: Date.now(), room, event, data }) + "\n";
+    recording.stream.write(line);
+    recording.bytes += Buffer.byteLength(line);
+    recording.events++;
+
+    // Size rotation
+    if (recording.bytes >= recording.options.maxBytes) {
+      this.rotate(room, recording);
+    }
+  }
+
+  /**
+   * Check whether a room is being recorded
+   * @param {string} room - Room ID
+   * @returns {boolean}
+   */
+  isRecording(room) {
+    return this.recordings.has(room);
+  }
+
+  /**
+   * Get recording status of one room, or of all rooms
+   * @param {string} [room] - Room ID
+   * @returns {Object|Object[]|null}
+   */
+  getStatus(room) {
+    if (room === undefined) {
+      return Array.from(this.recordings.keys()).map((r) => this.getStatus(r));
+    }
+
+    const recording = this.recordings.get(room);
+    if (!recording) return null;
+
+    return {
+      room,
+      file: recording.file,
+      bytes: recording.bytes,
+      events: recording.events,
+      startedAt: recording.startedAt,
+    };
+  }
+
+  /**
+   * List recording files on disk
+   * @param {string} [room] - Only list files of this room
+   * @returns {Promise<{room: string, file: string, size: number, modified: number}[]>}
+   */
+  async listRecordings(room) {
+    if (!existsSync(this.options.dir)) return [];
+
+    const dirs = room
+      ? [safeRoomName(room)]
+      : await readdir(this.options.dir).catch(() => []);
+    const result = [];
+
+    for (const dir of dirs) {
+      const roomDir = join(this.options.dir, dir);
+      const files = await readdir(roomDir).catch(() => []);
+
+      for (const name of files.filter((f) => f.endsWith(".ndjson"))) {
+        const info = await stat(join(roomDir, name));
+        result.push({
+          room: dir,
+          file: join(dir, name),
+          size: info.size,
+          modified: info.mtimeMs,
+        });
+      }
+    }
+
+    return result.sort((a, b) => b.modified - a.modified);
+  }
+
+  /**
+   * Resolve a recording file path relative to the recordings directory
+   * Rejects paths escaping the directory, or the room's folder when a room
+   * is given.
+   *
+   * @param {string} file - Path as returned by listRecordings()
+   * @param {string} [room] - Room the file must belong to
+   * @returns {string} Absolute path
+   */
+  resolveFile(file, room) {
+    const base = room
+      ? join(this.options.dir, safeRoomName(room))
+      : this.options.dir;
+    const fullPath = resolve(this.options.dir, file);
+    if (!fullPath.startsWith(base + sep)) {
+      throw new Error(
+        room
+          ? `Recording ${file} does not belong to room ${room}`
+          : `Invalid recording path: ${file}`
+      );
+    }
+    return fullPath;
+  }
+
+  /**
+   * Close the current file and continue in a new one
+   * The recording stops if the new file cannot be opened.
+   *
+   * @param {string} room - Room ID
+   * @param {Object} recording - Recording entry
+   * @returns {boolean} Whether the recording goes on
+   */
+  rotate(room, recording) {
+    this.closeStream(recording.stream);
+    try {
+      this.openFile(room, recording);
+    } catch (error) {
+      this.recordings.delete(room);
+      log.error("Recording stopped", { room, error: error.message });
+      return false;
+    }
+    log.info("Recording rotated", { room, file: recording.file });
+    return true;
+  }
+
+  /**
+   * Open a new timestamped file for a recording
+   * @param {string} room - Room ID
+   * @param {Object} recording - Recording entry
+   * @throws {Error} When the room's directory cannot be created
+   */
+  openFile(room, recording) {
+    const roomDir = join(this.options.dir, safeRoomName(room));
+    mkdirSync(roomDir, { recursive: true });
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    let name = `${stamp}.ndjson`;
+    for (let i = 1; existsSync(join(roomDir, name)); i++) {
+      name = `${stamp}_${i}.ndjson`;
+    }
+
+    recording.file = join(safeRoomName(room), name);
+    recording.stream = createWriteStream(join(roomDir, name), { flags: "a" });
+    recording.stream.on("error", (err) => {
+      log.error("Write error", { room, error: err.message });
+    });
+    recording.bytes = 0;
+    recording.events = 0;
+  }
+
+  /**
+   * End a write stream and wait until it is flushed
+   * @param {import('fs').WriteStream} stream
+   * @returns {Promise<void>}
+   */
+  closeStream(stream) {
+    return new Promise((resolvePromise) => stream.end(resolvePromise));
+  }
+}
+
+// Export singleton instance
+export default new SessionRecorder();
@@ -7,10 +7,100 @@
  * - Data from Streamer A will NEVER be sent to Streamer B
  * - Uses io.to(username).emit() to send to the CORRECT room only
  *
+ * EVENT SOURCES:
+ * - Upstream events come from a pluggable EventSource (see ./sources)
+ * - "mock:<name>" rooms use a local MockSource instead of TikTok Live,
+ *   "twitch:<channel>" Twitch chat, "ingest:<name>" pushed events
+ * - "collab:<room>+<room>" rooms merge several streamers (CompositeSource)
+ * - Events keep the `tiktok_*` names on every platform and carry a
+ *   `platform` field ("tiktok", "twitch"...) and the `streamer` they come
+ *   from (the room ID, or the member's room ID in collab rooms)
+ *
+ * RECONNECT:
+ * - A dropped connection is retried with exponential backoff + jitter
+ *   while clients are still in the room ("tiktok_reconnecting")
+ * - Gives up after `reconnect.maxAttempts`, when the streamer ends the
+ *   live, or when the room is empty ("tiktok_disconnected" with a reason)
+ * - Connections without clients are closed after `inactivityTimeoutMs`
+ *   (checked every `cleanupIntervalMs`)
+ *
+ * SEVERAL SERVER PROCESSES:
+ * - A coordinator (see ./coordination) gives each room's upstream
+ *   connection to exactly one process, the lease owner
+ * - Other processes "follow" the room: their clients get its events through
+ *   the Socket.io adapter, and they take the connection over when the
+ *   owner's lease expires (e.g. the owner crashed)
+ * - Client counts include the clients of every process
+ * - Collab rooms also hold the lease of each streamer, so a streamer is
+ *   never opened twice: a collab fails to connect while one of its
+ *   streamers is connected elsewhere, and the streamer's own room fails
+ *   (same process) or waits for the lease (other processes) during a collab
+ *
  * @module services/TikTokService
  */
 
-import { WebcastPushConnection } from "tiktok-live-connector";
+import { createEventSource } from "./sources/index.js";
+import MemoryCoordinator from "./coordination/MemoryCoordinator.js";
+import sessionRecorder from "./SessionRecorder.js";
+import roomEventBuffer from "./RoomEventBuffer.js";
+import GiftStreakTracker from "./GiftStreakTracker.js";
+import giftCatalog from "./GiftCatalog.js";
+import commandRouter from "./CommandRouter.js";
+import commandThrottle from "./CommandThrottle.js";
+import roomSettingsService from "./RoomSettingsService.js";
+import moderationService from "./ModerationService.js";
+import viewerStore from "./ViewerStore.js";
+import leaderboardService from "./LeaderboardService.js";
+import webhookService from "./WebhookService.js";
+import metricsService from "./MetricsService.js";
+import logger from "./Logger.js";
+
+const log = logger.child({ component: "TikTokService" });
+
+/**
+ * Default reconnect policy (see configure())
+ * Delay of attempt N: min(maxDelayMs, baseDelayMs * 2^(N-1)), then a
+ * random 50-100% of it so rooms dropped together do not retry together.
+ */
+export const DEFAULT_RECONNECT = {
+  maxAttempts: 8,
+  baseDelayMs: 1000,
+  maxDelayMs: 60000,
+};
+
+/**
+ * Default time a connection without clients stays open
+ */
+export const DEFAULT_INACTIVITY_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Errors kept per room (see getRoomDetails())
+ */
+const ERROR_HISTORY_SIZE = 20;
+
+/**
+ * Rooms with an error history; the room whose last error is the oldest is
+ * dropped first (failed connects to unknown streamers add up)
+ */
+const MAX_ERROR_ROOMS = 200;
+
+/**
+ * Rooms labelled by name in metrics; later rooms share room="other"
+ */
+const MAX_METRIC_ROOMS = 500;
+
+/**
+ * Public viewer fields of a raw upstream event
+ * @param {{uniqueId: string, nickname: string, profilePictureUrl: string}} data
+ * @returns {{uniqueId: string, nickname: string, profilePictureUrl: string}}
+ */
+function toUser(data) {
+  return {
+    uniqueId: data.uniqueId,
+    nickname: data.nickname,
+    profilePictureUrl: data.profilePictureUrl,
+  };
+}
 
 class TikTokService {
   constructor() {
@@ -21,22 +111,182 @@ class TikTokService {
     TikTokService.instance = this;
 
     /**
-     * Map storing active TikTok connections
-     * @type {Map<string, {connection: WebcastPushConnection, lastActivity: number}>}
+     * Map storing active upstream connections
+     * @type {Map<string, {connection: import('./sources/EventSource.js').default, io: import('socket.io').Server, giftStreaks: GiftStreakTracker, createdAt: number, connectedAt: number|null, upstreamRoomId: string|null, lastActivity: number, reconnectAttempts: number, reconnectTimer: NodeJS.Timeout|null, streamEnded: boolean}>}
      */
     this.connections = new Map();
 
+    /**
+     * Source selection, reconnect and inactivity options (see configure())
+     * @type {{defaultSource: string, sourceOptions: Object, reconnect: Object, inactivityTimeoutMs: number, cleanupIntervalMs: number}}
+     */
+    this.options = {
+      defaultSource: "tiktok",
+      sourceOptions: {},
+      reconnect: DEFAULT_RECONNECT,
+      inactivityTimeoutMs: DEFAULT_INACTIVITY_TIMEOUT_MS,
+      cleanupIntervalMs: 60000,
+    };
+
+    /**
+     * Recent connection errors per room (oldest first, kept after the
+     * connection closes), room with the oldest last error first
+     * @type {Map<string, Array<{type: string, message: string, timestamp: number}>>}
+     */
+    this.roomErrors = new Map();
+
     /**
      * Map tracking client count per room
      * @type {Map<string, number>}
      */
     this.roomClients = new Map();
 
-    // Cleanup interval - check for inactive connections every minute
+    /**
+     * Rooms whose upstream connection is owned by another process
+     * (room → Socket.io server, to connect when taking over)
+     * @type {Map<string, import('socket.io').Server>}
+     */
+    this.followedRooms = new Map();
+
+    /**
+     * Streamers connected through a collab room of this process
+     * (member room → collab room)
+     * @type {Map<string, string>}
+     */
+    this.collabMembers = new Map();
+
+    /**
+     * Rooms with their own metrics label (see roomLabel())
+     * @type {Set<string>}
+     */
+    this.metricRooms = new Set();
+
+    /**
+     * Lease owner election and client counts across processes
+     * @type {import('./coordination/Coordinator.js').default}
+     */
+    this.coordinator = new MemoryCoordinator();
+    this.coordinator.on("leaseLost", (room) => this.onLeaseLost(room));
+
+    // Metrics (GET /metrics)
+    metricsService.define(
+      "tiktok_events_total",
+      "counter",
+      "Events sent to rooms, by room and event"
+    );
+    metricsService.define(
+      "tiktok_gifts_total",
+      "counter",
+      "Gifts received (combos count once), by room"
+    );
+    metricsService.define(
+      "tiktok_gift_diamonds_total",
+      "counter",
+      "Diamonds received through gifts, by room"
+    );
+    metricsService.define(
+      "tiktok_connect_failures_total",
+      "counter",
+      "Failed connects and reconnects, by room"
+    );
+    metricsService.define(
+      "tiktok_reconnect_attempts_total",
+      "counter",
+      "Scheduled reconnect attempts, by room"
+    );
+    metricsService.define(
+      "tiktok_disconnects_total",
+      "counter",
+      "Closed live connections, by room and reason"
+    );
+    metricsService.define(
+      "tiktok_active_connections",
+      "gauge",
+      "Open live connections"
+    );
+    metricsService.define(
+      "tiktok_room_clients",
+      "gauge",
+      "Socket.io clients per room"
+    );
+    metricsService.addCollector(() => {
+      metricsService.set(
+        "tiktok_active_connections",
+        {},
+        this.connections.size
+      );
+      const clients = new Map();
+      for (const [room, count] of this.roomClients.entries()) {
+        const label = this.roomLabel(room);
+        clients.set(label, (clients.get(label) || 0) + count);
+      }
+      metricsService.reset("tiktok_room_clients");
+      for (const [room, count] of clients.entries()) {
+        metricsService.set("tiktok_room_clients", { room }, count);
+      }
+    });
+
+    // Cleanup interval - check for inactive connections (every minute by default)
     this.cleanupInterval = setInterval(
       () => this.checkInactiveConnections(),
-      60000
+      this.options.cleanupIntervalMs
     );
+
+    // Take over followed rooms whose owner is gone
+    this.followInterval = setInterval(() => this.checkFollowedRooms(), 5000);
+  }
+
+  /**
+   * Configure event source selection and reconnects
+   * @param {Object} options
+   * @param {string} [options.defaultSource] - "tiktok", "mock" or "twitch"
+   * @param {Object} [options.sourceOptions] - Per-type source options
+   * @param {Object} [options.reconnect] - Partial DEFAULT_RECONNECT
+   *   (maxAttempts 0 disables reconnects)
+   * @param {number} [options.inactivityTimeoutMs] - Time a connection
+   *   without clients stays open (at least 10000)
+   * @param {number} [options.cleanupIntervalMs] - How often inactive
+   *   connections are looked for (at least 1000)
+   * @param {import('./coordination/Coordinator.js').default} [options.coordinator]
+   *   Shared coordinator when several server processes run (set before
+   *   the first connect)
+   */
+  configure(options = {}) {
+    const { coordinator, inactivityTimeoutMs, cleanupIntervalMs, ...rest } =
+      options;
+
+    this.options = {
+      ...this.options,
+      ...rest,
+      reconnect: { ...this.options.reconnect, ...rest.reconnect },
+    };
+
+    if (inactivityTimeoutMs !== undefined) {
+      if (
+        !Number.isInteger(inactivityTimeoutMs) ||
+        inactivityTimeoutMs < 10000
+      ) {
+        throw new Error("inactivityTimeoutMs must be an integer >= 10000");
+      }
+      this.options.inactivityTimeoutMs = inactivityTimeoutMs;
+    }
+
+    if (cleanupIntervalMs !== undefined) {
+      if (!Number.isInteger(cleanupIntervalMs) || cleanupIntervalMs < 1000) {
+        throw new Error("cleanupIntervalMs must be an integer >= 1000");
+      }
+      this.options.cleanupIntervalMs = cleanupIntervalMs;
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = setInterval(
+        () => this.checkInactiveConnections(),
+        cleanupIntervalMs
+      );
+    }
+
+    if (coordinator) {
+      this.coordinator = coordinator;
+      coordinator.on("leaseLost", (room) => this.onLeaseLost(room));
+    }
   }
 
   /**
@@ -48,229 +298,813 @@ class TikTokService {
    * @returns {Promise<boolean>} - Whether connection was successful
    */
   async connect(username, io) {
+    // Leases are per process: check the streamers of local collabs here
+    const collab = this.collabMembers.get(username);
+    if (collab) {
+      const message = `Streamer ${username} is live in ${collab}`;
+      log.warn("Cannot connect", { room: username, error: message });
+      this.recordError(username, "connect", message);
+      return false;
+    }
+
+    // Only the lease owner opens the upstream connection; the owner's
+    // events reach this process' clients through the Socket.io adapter
+    if (!this.connections.has(username) && !this.followedRooms.has(username)) {
+      if (!(await this.coordinator.acquire(username))) {
+        log.info("Following room owned by another process", {
+          room: username,
+        });
+        this.followedRooms.set(username, io);
+      }
+    }
+    if (this.followedRooms.has(username)) return true;
+
     // Check if connection already exists
     if (this.connections.has(username)) {
-      console.log(
-        `[TikTokService] Reusing existing connection for: ${username}`
-      );
+      log.debug("Reusing existing connection", { room: username });
       const existing = this.connections.get(username);
       existing.lastActivity = Date.now();
       return true;
     }
 
-    console.log(`[TikTokService] Creating new connection for: ${username}`);
+    log.info("Creating new connection", { room: username });
 
     try {
-      // Create new TikTok Live connection
-      const connection = new WebcastPushConnection(username, {
-        processInitialData: true,
-        enableExtendedGiftInfo: true,
-        enableWebsocketUpgrade: true,
-        requestPollingIntervalMs: 2000,
-        sessionId: null,
+      // Create the upstream event source (TikTok Live or mock)
+      const connection = createEventSource(username, this.options);
+
+      // Combo gift aggregation for this room
+      const giftStreaks = new GiftStreakTracker({
+        onExpire: (step) => this.emitGift(io, username, step),
       });
 
       // Store in Map
       this.connections.set(username, {
         connection: connection,
+        io: io,
+        giftStreaks: giftStreaks,
+        createdAt: Date.now(),
+        connectedAt: null,
+        upstreamRoomId: null,
         lastActivity: Date.now(),
+        reconnectAttempts: 0,
+        reconnectTimer: null,
+        streamEnded: false,
       });
 
+      // New connection = new "stream" leaderboard window (reconnects reuse it)
+      leaderboardService.startStream(username);
+
       // ==========================================
       // TIKTOK EVENT HANDLERS
       // These handlers emit generic events that the
       // TikTok Bridge SDK (client-side) can consume.
       // ==========================================
 
+      /**
+       * Emit a room event of this connection, tagged with its platform and
+       * streamer (the raw event's own tags win, see IngestSource and
+       * CompositeSource)
+       * @param {string} event - Room event name
+       * @param {Object} data - Raw upstream event
+       * @param {Object} payload - Room event data
+       */
+      const emit = (event, data, payload) => {
+        this.emitToRoom(io, username, event, {
+          ...payload,
+          platform: data.platform || connection.platform,
+          streamer: data.streamer || username,
+        });
+      };
+
+      /**
+       * Viewer events pass moderation first:
+       * blocked/muted viewers are dropped, banned words are masked.
+       * Every viewer event also refreshes the viewer's profile (last seen).
+       */
+      const onViewerEvent = (event, handler) => {
+        connection.on(event, (data) => {
+          const moderated = moderationService.moderate(username, data);
+          if (!moderated) return;
+          viewerStore.update(username, toUser(moderated));
+          handler(moderated);
+        });
+      };
+
       /**
        * Handle Chat Messages
        */
-      connection.on("chat", (data) => {
+      onViewerEvent("chat", (data) => {
         const message = data.comment?.toLowerCase().trim() || "";
-        const user = {
-          uniqueId: data.uniqueId,
-          nickname: data.nickname,
-          profilePictureUrl: data.profilePictureUrl,
-        };
+        const user = toUser(data);
 
         this.updateActivity(username);
+        viewerStore.update(username, user, { messages: 1 });
 
         // 1. Emit generic event for tiktok-bridge.js
-        io.to(username).emit("tiktok_chat", {
+        emit("tiktok_chat", data, {
           user,
           comment: message,
           rawData: data,
           timestamp: Date.now(),
         });
 
-        // 2. Legacy/Specific command mappings (for backward compatibility)
-        if (message === "join" || message === "thamgia") {
-          io.to(username).emit("player_join", { user, timestamp: Date.now() });
-          console.log(`[${username}] Player join: ${user.nickname}`);
+        // 2. Structured command (parsed once, server-side, with the room's
+        // language, command words and typo tolerance)
+        const { language, commands, fuzzy } = roomSettingsService.get(username);
+        const parsed = commandRouter.parse(message, {
+          lang: language,
+          words: commands,
+          fuzzy,
+        });
+        if (!parsed) return;
+
+        // Anti-spam: drop throttled commands, tell the room (rate-limited)
+        const verdict = commandThrottle.check(
+          username,
+          user.uniqueId,
+          parsed.command,
+          message
+        );
+        if (!verdict.allowed) {
+          if (verdict.notify) {
+            emit("command_throttled", data, {
+              user,
+              command: parsed.command,
+              reason: verdict.reason,
+              retryAfterMs: verdict.retryAfterMs,
+              timestamp: Date.now(),
+            });
+          }
+          return;
         }
 
-        if (message === "hit" || message === "danh" || message === "attack") {
-          io.to(username).emit("player_attack", {
+        emit("tiktok_command", data, {
+          user,
+          ...parsed,
+          comment: message,
+          timestamp: Date.now(),
+        });
+
+        // 3. Legacy command events (for backward compatibility)
+        if (parsed.command === "join") {
+          viewerStore.update(username, user, { gamesJoined: 1 });
+          emit("player_join", data, {
+            user,
+            timestamp: Date.now(),
+          });
+          log.info("Player join", {
+            room: username,
+            event: "join",
+            user: user.uniqueId,
+          });
+        }
+
+        if (parsed.command === "attack") {
+          emit("player_attack", data, {
             user,
             damage: Math.floor(Math.random() * 10) + 5,
             timestamp: Date.now(),
           });
-          console.log(`[${username}] Player attack: ${user.nickname}`);
+          log.info("Player attack", {
+            room: username,
+            event: "attack",
+            user: user.uniqueId,
+          });
         }
       });
 
       /**
        * Handle Like Events
        */
-      connection.on("like", (data) => {
-        const user = {
-          uniqueId: data.uniqueId,
-          nickname: data.nickname,
-          profilePictureUrl: data.profilePictureUrl,
-        };
+      onViewerEvent("like", (data) => {
+        const user = toUser(data);
 
         this.updateActivity(username);
+        viewerStore.update(username, user, { likes: data.likeCount });
 
-        io.to(username).emit("tiktok_like", {
+        emit("tiktok_like", data, {
           user,
           likeCount: data.likeCount,
           totalLikeCount: data.totalLikeCount,
           timestamp: Date.now(),
         });
 
-        console.log(
-          `[${username}] Like: ${data.likeCount} from ${user.nickname}`
-        );
+        log.info("Like", {
+          room: username,
+          event: "like",
+          user: user.uniqueId,
+          likeCount: data.likeCount,
+        });
       });
 
       /**
        * Handle Share Events
        */
-      connection.on("social", (data) => {
+      onViewerEvent("social", (data) => {
         if (data.displayType === "pm_mt_msg_viewer_share") {
-          const user = {
-            uniqueId: data.uniqueId,
-            nickname: data.nickname,
-            profilePictureUrl: data.profilePictureUrl,
-          };
+          const user = toUser(data);
 
           this.updateActivity(username);
 
-          io.to(username).emit("tiktok_share", {
+          emit("tiktok_share", data, {
             user,
             timestamp: Date.now(),
           });
 
-          console.log(`[${username}] Share from ${user.nickname}`);
+          log.info("Share", {
+            room: username,
+            event: "share",
+            user: user.uniqueId,
+          });
         }
       });
 
       /**
        * Handle Gift Events
+       * Streakable gifts are aggregated: interim "tiktok_gift_combo" events
+       * while the combo runs, then ONE final gift event with the total.
        */
-      connection.on("gift", (data) => {
-        const user = {
-          uniqueId: data.uniqueId,
-          nickname: data.nickname,
-          profilePictureUrl: data.profilePictureUrl,
-        };
+      onViewerEvent("gift", (data) => {
+        this.updateActivity(username);
+        this.emitGift(io, username, giftStreaks.track(data));
+      });
 
+      /**
+       * Handle Follows
+       */
+      onViewerEvent("follow", (data) => {
         this.updateActivity(username);
+        emit("tiktok_follow", data, {
+          user: toUser(data),
+          timestamp: Date.now(),
+        });
+        webhookService.dispatch(username, "follow", { user: toUser(data) });
+      });
 
-        // Normalize gift data
-        const giftValue = data.diamondCount || data.giftValue || 1;
-        const giftName =
-          data.giftName || data.giftDetails?.giftName || "Unknown Gift";
-        const repeatCount = data.repeatCount || 1;
+      /**
+       * Handle Viewers Entering the Live
+       */
+      onViewerEvent("member", (data) => {
+        this.updateActivity(username);
+        emit("tiktok_member", data, {
+          user: toUser(data),
+          timestamp: Date.now(),
+        });
+      });
 
-        // Categorize gifts for easier game logic
-        let giftType = "small"; // < 10 coins
-        if (giftValue >= 100) giftType = "large"; // 100+ coins
-        else if (giftValue >= 10) giftType = "medium"; // 10-99 coins
+      /**
+       * Handle Subscriptions
+       */
+      onViewerEvent("subscribe", (data) => {
+        this.updateActivity(username);
+        emit("tiktok_subscribe", data, {
+          user: toUser(data),
+          subMonth: data.subMonth || 1,
+          timestamp: Date.now(),
+        });
+        webhookService.dispatch(username, "subscribe", {
+          user: toUser(data),
+          subMonth: data.subMonth || 1,
+        });
+        log.info("Subscribe", {
+          room: username,
+          event: "subscribe",
+          user: data.uniqueId,
+        });
+      });
 
-        // Emit generic gift event
-        io.to(username).emit("tiktok_gift", {
-          user,
-          giftName,
-          giftValue,
-          repeatCount,
-          giftType,
-          rawData: data,
+      /**
+       * Handle Subscriber Emotes
+       */
+      onViewerEvent("emote", (data) => {
+        this.updateActivity(username);
+        emit("tiktok_emote", data, {
+          user: toUser(data),
+          emoteId: data.emoteId,
+          emoteImageUrl: data.emoteImageUrl,
           timestamp: Date.now(),
         });
+      });
 
-        // Legacy event for Boss Raid compatibility
-        io.to(username).emit("gift_received", {
-          user,
-          giftName,
-          giftValue,
-          repeatCount,
-          giftType,
+      /**
+       * Handle Q&A Questions
+       */
+      onViewerEvent("questionNew", (data) => {
+        this.updateActivity(username);
+        emit("tiktok_question", data, {
+          user: toUser(data),
+          question: data.questionText,
           timestamp: Date.now(),
         });
+      });
 
-        console.log(
-          `[${username}] Gift: ${giftName} x${repeatCount} (${giftType})`
-        );
+      /**
+       * Handle Viewer Count Updates
+       * Not a viewer event, but top viewers still go through moderation.
+       */
+      connection.on("roomUser", (data) => {
+        const topViewers = [];
+        for (const viewer of data.topViewers || []) {
+          const moderated =
+            viewer.user && moderationService.moderate(username, viewer.user);
+          if (moderated) {
+            topViewers.push({
+              user: toUser(moderated),
+              coinCount: viewer.coinCount,
+            });
+          }
+        }
+
+        emit("tiktok_viewer_count", data, {
+          viewerCount: data.viewerCount,
+          topViewers,
+          timestamp: Date.now(),
+        });
       });
 
       // ==========================================
       // CONNECTION STATUS HANDLERS
       // ==========================================
       connection.on("connected", (state) => {
-        console.log(`[TikTokService] Connected to live: ${username}`);
-        io.to(username).emit("tiktok_connected", {
+        log.info("Connected to live", {
+          room: username,
+          source: connection.type,
+        });
+        const entry = this.connections.get(username);
+        // A successful reconnect continues the same stream session
+        if (entry?.reconnectAttempts === 0) {
+          webhookService.dispatch(username, "stream_start", {
+            roomId: state.roomId,
+          });
+        }
+        if (entry) {
+          entry.reconnectAttempts = 0;
+          entry.connectedAt = Date.now();
+          entry.upstreamRoomId = state.roomId;
+        }
+        emit("tiktok_connected", state, {
           roomId: state.roomId,
+          streamers: state.streamers, // Collab rooms
           timestamp: Date.now(),
         });
       });
 
+      // Streamer ended the live (or it was banned) - do not reconnect
+      connection.on("streamEnd", () => {
+        log.info("Live ended", { room: username });
+        const entry = this.connections.get(username);
+        if (entry) entry.streamEnded = true;
+      });
+
       connection.on("disconnected", () => {
-        console.log(`[TikTokService] Disconnected from: ${username}`);
-        io.to(username).emit("tiktok_disconnected", {
-          timestamp: Date.now(),
-        });
-        this.connections.delete(username);
+        const entry = this.connections.get(username);
+
+        // Closed by disconnect() - the room is already gone
+        if (entry?.connection !== connection) return;
+
+        log.warn("Connection lost", { room: username });
+        this.recordError(username, "connection_lost", "Connection lost");
+        if (entry.streamEnded) {
+          this.closeConnection(io, username, "stream_end");
+        } else {
+          this.scheduleReconnect(io, username);
+        }
       });
 
       connection.on("error", (err) => {
-        console.error(`[TikTokService] Error for ${username}:`, err.message);
-        io.to(username).emit("tiktok_error", {
+        log.error("Connection error", { room: username, error: err.message });
+        this.recordError(username, "upstream", err.message);
+        emit("tiktok_error", err, {
           message: err.message,
           timestamp: Date.now(),
         });
       });
 
+      if (connection.type === "collab") {
+        await this.acquireMembers(
+          username,
+          connection.members.map(({ name }) => name)
+        );
+        if (this.connections.get(username)?.connection !== connection) {
+          throw new Error("Room closed while connecting");
+        }
+      }
+
       // Establish connection
       await connection.connect();
       return true;
     } catch (error) {
-      console.error(
-        `[TikTokService] Cannot connect to ${username}:`,
-        error.message
-      );
+      log.error("Cannot connect", { room: username, error: error.message });
+      this.recordError(username, "connect", error.message);
+      metricsService.increment("tiktok_connect_failures_total", {
+        room: this.roomLabel(username),
+      });
       this.connections.delete(username);
+      this.releaseMembers(username);
+      this.coordinator.release(username);
       return false;
     }
   }
 
+  /**
+   * Take the leases of a collab room's streamers
+   * @param {string} username - Collab room ID
+   * @param {string[]} members - Member room IDs
+   * @returns {Promise<void>}
+   * @throws {Error} When a streamer is already streamed by another room,
+   *   here or on another process (the leases taken so far are released)
+   */
+  async acquireMembers(username, members) {
+    for (const member of members) {
+      const isFree =
+        !this.connections.has(member) &&
+        !this.collabMembers.has(member) &&
+        (await this.coordinator.acquire(member));
+      if (!isFree) {
+        this.releaseMembers(username);
+        throw new Error(`Streamer ${member} is already connected elsewhere`);
+      }
+      this.collabMembers.set(member, username);
+    }
+  }
+
+  /**
+   * Release the streamer leases of a collab room
+   * @param {string} username - Collab room ID
+   */
+  releaseMembers(username) {
+    for (const [member, collab] of this.collabMembers) {
+      if (collab !== username) continue;
+      this.collabMembers.delete(member);
+      this.coordinator.release(member);
+    }
+  }
+
+  /**
+   * Normalize and emit one gift streak step
+   * - Running combo → "tiktok_gift_combo"
+   * - Final gift → "tiktok_gift" + legacy "gift_received"
+   *
+   * @param {import('socket.io').Server} io - Socket.io server instance
+   * @param {string} username - Room ID
+   * @param {{final: boolean, repeatCount: number, increment: number, data: Object}} step
+   *   Step returned by GiftStreakTracker
+   */
+  emitGift(io, username, { final, repeatCount, increment, data }) {
+    const user = toUser(data);
+
+    // Normalize gift data
+    const giftValue = data.diamondCount || data.giftValue || 1;
+    const giftName =
+      data.giftName || data.giftDetails?.giftName || "Unknown Gift";
+
+    // Categorize gifts for easier game logic (room catalog or thresholds)
+    const { giftType, points, action } = giftCatalog.resolve(username, {
+      giftId: data.giftId,
+      giftName,
+      giftValue,
+    });
+
+    const gift = {
+      user,
+      platform: data.platform || this.getSource(username)?.platform,
+      streamer: data.streamer || username,
+      giftName,
+      giftValue,
+      repeatCount,
+      totalValue: giftValue * repeatCount,
+      giftType,
+      points: points * repeatCount,
+      action,
+    };
+
+    if (!final) {
+      this.emitToRoom(io, username, "tiktok_gift_combo", {
+        ...gift,
+        increment,
+        rawData: data,
+        timestamp: Date.now(),
+      });
+      return;
+    }
+
+    viewerStore.update(username, user, {
+      gifts: repeatCount,
+      diamonds: gift.totalValue,
+    });
+
+    webhookService.dispatch(username, "gift", gift);
+    metricsService.increment("tiktok_gifts_total", {
+      room: this.roomLabel(username),
+    });
+    metricsService.increment(
+      "tiktok_gift_diamonds_total",
+      { room: this.roomLabel(username) },
+      gift.totalValue
+    );
+
+    // Emit generic gift event
+    this.emitToRoom(io, username, "tiktok_gift", {
+      ...gift,
+      rawData: data,
+      timestamp: Date.now(),
+    });
+
+    // Legacy event for Boss Raid compatibility
+    this.emitToRoom(io, username, "gift_received", {
+      ...gift,
+      timestamp: Date.now(),
+    });
+
+    log.info("Gift", {
+      room: username,
+      event: "gift",
+      user: user.uniqueId,
+      giftName,
+      repeatCount,
+      giftType,
+      diamonds: gift.totalValue,
+    });
+  }
+
+  /**
+   * Emit an event to a room
+   * Every room event goes through here, so it can also be numbered
+   * (`seq`, kept for late joiners), recorded and counted (metrics). Recordings store the
+   * payload without `seq` - replays get fresh sequence numbers.
+   *
+   * @param {import('socket.io').Server} io - Socket.io server instance
+   * @param {string} username - Room ID
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   */
+  emitToRoom(io, username, event, data) {
+    io.to(username).emit(event, roomEventBuffer.push(username, event, data));
+    sessionRecorder.record(username, event, data);
+    metricsService.increment("tiktok_events_total", {
+      room: this.roomLabel(username),
+      event,
+    });
+  }
+
+  /**
+   * Metrics label of a room
+   * Anyone can name a room, so only rooms that connected to their live get
+   * their own label (up to MAX_METRIC_ROOMS per process), the others are
+   * counted as "other" and never create series.
+   * @param {string} username - Room ID
+   * @returns {string}
+   */
+  roomLabel(username) {
+    if (this.metricRooms.has(username)) return username;
+    if (
+      this.connections.get(username)?.connectedAt &&
+      this.metricRooms.size < MAX_METRIC_ROOMS
+    ) {
+      this.metricRooms.add(username);
+      return username;
+    }
+    return "other";
+  }
+
+  /**
+   * Schedule the next reconnect attempt of a dropped connection
+   * Gives up when the room is empty or maxAttempts is reached.
+   *
+   * @param {import('socket.io').Server} io - Socket.io server instance
+   * @param {string} username - Room ID
+   */
+  scheduleReconnect(io, username) {
+    const entry = this.connections.get(username);
+    const { maxAttempts, baseDelayMs, maxDelayMs } = this.options.reconnect;
+
+    if (this.getClientCount(username) === 0) {
+      this.closeConnection(io, username, "no_clients");
+      return;
+    }
+    if (entry.reconnectAttempts >= maxAttempts) {
+      this.closeConnection(io, username, "reconnect_failed");
+      return;
+    }
+
+    const attempt = ++entry.reconnectAttempts;
+    metricsService.increment("tiktok_reconnect_attempts_total", {
+      room: this.roomLabel(username),
+    });
+    const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    const delayMs = Math.round(backoff * (0.5 + Math.random() * 0.5));
+
+    log.warn("Reconnecting", {
+      room: username,
+      attempt: `${attempt}/${maxAttempts}`,
+      delayMs,
+    });
+    this.emitToRoom(io, username, "tiktok_reconnecting", {
+      attempt,
+      maxAttempts,
+      delayMs,
+      timestamp: Date.now(),
+    });
+
+    entry.reconnectTimer = setTimeout(
+      () => this.reconnect(io, username),
+      delayMs
+    );
+  }
+
+  /**
+   * Run one reconnect attempt (reuses the room's event source)
+   * @param {import('socket.io').Server} io - Socket.io server instance
+   * @param {string} username - Room ID
+   * @returns {Promise<void>}
+   */
+  async reconnect(io, username) {
+    const entry = this.connections.get(username);
+    if (!entry) return;
+    entry.reconnectTimer = null;
+
+    try {
+      await entry.connection.connect();
+    } catch (error) {
+      log.error("Reconnect failed", { room: username, error: error.message });
+      this.recordError(username, "reconnect", error.message);
+      metricsService.increment("tiktok_connect_failures_total", {
+        room: this.roomLabel(username),
+      });
+      // Room may have been closed while connecting
+      if (this.connections.get(username) === entry) {
+        this.scheduleReconnect(io, username);
+      }
+    }
+  }
+
+  /**
+   * Give up on a room's connection and tell its clients why
+   * @param {import('socket.io').Server} io - Socket.io server instance
+   * @param {string} username - Room ID
+   * @param {"stream_end"|"reconnect_failed"|"no_clients"|"admin"} reason
+   */
+  closeConnection(io, username, reason) {
+    this.emitToRoom(io, username, "tiktok_disconnected", {
+      reason,
+      timestamp: Date.now(),
+    });
+    this.disconnect(username, reason);
+  }
+
   /**
    * Disconnect a streamer's TikTok connection
    * @param {string} username - TikTok username
+   * @param {string} [reason="disconnected"] - Metrics label ("stream_end" also
+   *   sends the stream_end webhook)
    */
-  disconnect(username) {
+  disconnect(username, reason = "disconnected") {
+    this.followedRooms.delete(username);
+
     if (this.connections.has(username)) {
-      const { connection } = this.connections.get(username);
+      const { connection, giftStreaks, reconnectTimer } =
+        this.connections.get(username);
+
+      // Remove first, so the "disconnected" handler does not reconnect
+      this.connections.delete(username);
+      clearTimeout(reconnectTimer);
+      giftStreaks.clear();
+      commandThrottle.resetRoom(username);
+      roomEventBuffer.clear(username);
       try {
         connection.disconnect();
       } catch (e) {
         // Ignore disconnect errors
       }
-      this.connections.delete(username);
-      console.log(`[TikTokService] Disconnected: ${username}`);
+      this.releaseMembers(username);
+      this.coordinator.release(username);
+      // Only the streamer ends the stream; leases, restarts and admin or
+      // idle disconnects just close this process' connection
+      if (reason === "stream_end") {
+        webhookService.dispatch(username, "stream_end", { reason });
+      } else {
+        webhookService.resetStream(username);
+      }
+      metricsService.increment("tiktok_disconnects_total", {
+        room: this.roomLabel(username),
+        reason,
+      });
+      log.info("Disconnected", { room: username, reason });
+    }
+  }
+
+  /**
+   * Close a room's connection and open a new one right away (admin)
+   * Unlike an automatic reconnect, this starts a new session: a new event
+   * source, "stream" leaderboard window and stream_start webhook.
+   *
+   * @param {import('socket.io').Server} io - Socket.io server instance
+   * @param {string} username - Room ID
+   * @returns {Promise<boolean>} Whether the new connection succeeded
+   * @throws {Error} When another server process owns the room
+   */
+  async forceReconnect(io, username) {
+    if (this.followedRooms.has(username)) {
+      throw new Error(`Room ${username} is owned by another server process`);
+    }
+
+    log.info("Forced reconnect", { room: username });
+    this.disconnect(username, "admin_reconnect");
+    return this.connect(username, io);
+  }
+
+  /**
+   * Remember a connection error of a room (see getRoomDetails())
+   * @param {string} username - Room ID
+   * @param {"connect"|"reconnect"|"upstream"|"connection_lost"} type
+   * @param {string} message
+   */
+  recordError(username, type, message) {
+    const errors = this.roomErrors.get(username) || [];
+    errors.push({ type, message, timestamp: Date.now() });
+    if (errors.length > ERROR_HISTORY_SIZE) errors.shift();
+
+    this.roomErrors.delete(username);
+    this.roomErrors.set(username, errors);
+    if (this.roomErrors.size > MAX_ERROR_ROOMS) {
+      this.roomErrors.delete(this.roomErrors.keys().next().value);
+    }
+  }
+
+  /**
+   * Hand a room over after another process took its lease
+   * The connection is closed without telling the clients (the new owner
+   * serves them), and the room is followed while clients remain here.
+   * @param {string} username - Room ID
+   */
+  onLeaseLost(username) {
+    // A collab streamer's lease: hand the whole collab over
+    if (this.collabMembers.has(username)) {
+      this.onLeaseLost(this.collabMembers.get(username));
+      return;
+    }
+
+    const entry = this.connections.get(username);
+    if (!entry) return;
+
+    this.disconnect(username, "lease_lost");
+    if (this.roomClients.get(username) > 0) {
+      this.followedRooms.set(username, entry.io);
+    }
+  }
+
+  /**
+   * Whether another process owns a room's upstream connection
+   * @param {string} username - Room ID
+   * @returns {boolean}
+   */
+  isFollowing(username) {
+    return this.followedRooms.has(username);
+  }
+
+  /**
+   * Stop following rooms without local clients, and take over the
+   * others when their lease is free again
+   * @returns {Promise<void>}
+   */
+  async checkFollowedRooms() {
+    for (const [username, io] of this.followedRooms.entries()) {
+      if (!this.roomClients.get(username)) {
+        this.followedRooms.delete(username);
+        continue;
+      }
+
+      try {
+        if (!(await this.coordinator.acquire(username))) continue;
+      } catch (error) {
+        log.warn("Cannot check lease", {
+          room: username,
+          error: error.message,
+        });
+        continue;
+      }
+
+      // Disconnected meanwhile (shutdown...): do not reconnect
+      if (this.followedRooms.get(username) !== io) {
+        this.coordinator.release(username);
+        continue;
+      }
+      this.followedRooms.delete(username);
+      log.info("Taking over room", { room: username });
+      this.connect(username, io);
     }
   }
 
+  /**
+   * Get the upstream event source of an active connection
+   * @param {string} username - Room ID
+   * @returns {import('./sources/EventSource.js').default|null}
+   */
+  getSource(username) {
+    return this.connections.get(username)?.connection || null;
+  }
+
   /**
    * Update last activity timestamp for a connection
    * @param {string} username - TikTok username
@@ -288,7 +1122,8 @@ class TikTokService {
   addClientToRoom(username) {
     const count = this.roomClients.get(username) || 0;
     this.roomClients.set(username, count + 1);
-    console.log(`[TikTokService] Room ${username}: ${count + 1} clients`);
+    this.coordinator.reportClients(username, count + 1);
+    log.debug("Client joined", { room: username, clients: count + 1 });
   }
 
   /**
@@ -299,51 +1134,118 @@ class TikTokService {
     const count = this.roomClients.get(username) || 0;
     if (count > 0) {
       this.roomClients.set(username, count - 1);
-      console.log(`[TikTokService] Room ${username}: ${count - 1} clients`);
+      this.coordinator.reportClients(username, count - 1);
+      log.debug("Client left", { room: username, clients: count - 1 });
     }
   }
 
   /**
-   * Get client count for a room
+   * Get client count for a room (clients of every server process)
    * @param {string} username - Room ID
    * @returns {number} Number of clients
    */
   getClientCount(username) {
-    return this.roomClients.get(username) || 0;
+    return (
+      (this.roomClients.get(username) || 0) +
+      this.coordinator.getRemoteClientCount(username)
+    );
   }
 
   /**
    * Check and disconnect inactive connections
-   * AUTO-DISCONNECT after 5 minutes with no clients in room
+   * AUTO-DISCONNECT after `inactivityTimeoutMs` with no clients in room
    * This helps free up server resources
    */
   checkInactiveConnections() {
-    const TIMEOUT = 5 * 60 * 1000; // 5 minutes
+    const TIMEOUT = this.options.inactivityTimeoutMs;
     const now = Date.now();
 
+    // Forget idle viewers' rate limit state
+    commandThrottle.prune();
+
     for (const [username, data] of this.connections.entries()) {
       const clientCount = this.getClientCount(username);
       const timeSinceActivity = now - data.lastActivity;
 
       if (clientCount === 0 && timeSinceActivity > TIMEOUT) {
-        console.log(
-          `[TikTokService] Auto-disconnect ${username} (inactive ${Math.round(
-            timeSinceActivity / 1000
-          )}s, 0 clients)`
-        );
-        this.disconnect(username);
+        log.info("Auto-disconnect (no clients)", {
+          room: username,
+          inactiveSeconds: Math.round(timeSinceActivity / 1000),
+        });
+        this.disconnect(username, "inactive");
       }
     }
   }
 
+  /**
+   * Get the state of a room (admin)
+   * @param {string} username - Room ID
+   * @returns {Object|null} null when the room has no connection, clients
+   *   or errors
+   *   status - "connecting", "connected", "reconnecting", "following"
+   *   (owned by another process) or "idle" (no connection)
+   */
+  getRoomDetails(username) {
+    const entry = this.connections.get(username);
+    const errors = this.roomErrors.get(username) || [];
+    const localClients = this.roomClients.get(username) || 0;
+
+    let status = "idle";
+    if (entry) {
+      if (entry.reconnectAttempts > 0) status = "reconnecting";
+      else status = entry.connectedAt ? "connected" : "connecting";
+    } else if (this.followedRooms.has(username)) {
+      status = "following";
+    }
+
+    if (status === "idle" && localClients === 0 && errors.length === 0) {
+      return null;
+    }
+
+    return {
+      room: username,
+      status,
+      source: entry?.connection.type || null,
+      upstreamRoomId: entry?.upstreamRoomId || null,
+      createdAt: entry?.createdAt || null,
+      connectedAt: entry?.connectedAt || null,
+      lastActivity: entry?.lastActivity || null,
+      reconnectAttempts: entry?.reconnectAttempts || 0,
+      clients: this.getClientCount(username),
+      localClients,
+      errors: errors.slice().reverse(),
+    };
+  }
+
+  /**
+   * Get the state of every known room (admin)
+   * @returns {Object[]} See getRoomDetails()
+   */
+  listRooms() {
+    const rooms = new Set([
+      ...this.connections.keys(),
+      ...this.followedRooms.keys(),
+      ...this.roomClients.keys(),
+      ...this.roomErrors.keys(),
+    ]);
+
+    return Array.from(rooms)
+      .sort()
+      .map((room) => this.getRoomDetails(room))
+      .filter(Boolean);
+  }
+
   /**
    * Get current service statistics
-   * @returns {{activeConnections: number, connections: string[], rooms: Object}}
+   * @returns {{node: string, activeConnections: number, connections: string[], followedRooms: string[], rooms: Object}}
+   *   rooms - Client counts on this process
    */
   getStats() {
     return {
+      node: this.coordinator.nodeId,
       activeConnections: this.connections.size,
       connections: Array.from(this.connections.keys()),
+      followedRooms: Array.from(this.followedRooms.keys()),
       rooms: Object.fromEntries(this.roomClients),
     };
   }
@@ -0,0 +1,255 @@
+/**
+ * ViewerStore.js
+ * Lifetime viewer profiles per streamer, persisted across streams
+ *
+ * Updated by TikTokService from live events only (replays are not counted):
+ * - messages, likes, gifts (count) and diamonds (total value)
+ * - gamesJoined ("join" command), wins (reported through the API)
+ * - nickname/avatar of the last event, firstSeen/lastSeen timestamps
+ * A profile is created on the first counted activity: presence alone
+ * (joins, follows, shares...) only refreshes known viewers. Each room keeps
+ * at most `maxViewers` profiles, the least recently seen are dropped first.
+ *
+ * Changes are written to the store file at most every `saveDelayMs`
+ * (call flush() before exiting), through a temporary file renamed over
+ * the store, so a crash mid-write never leaves a truncated file.
+ *
+ * STORE FILE (JSON):
+ * { "rooms": { "streamer_a": { "viewer_1": { "messages": 12, ... } } } }
+ *
+ * @module services/ViewerStore
+ */
+
+import { randomBytes } from "crypto";
+import { existsSync, readFileSync } from "fs";
+import { mkdir, rename, writeFile } from "fs/promises";
+import { dirname, resolve } from "path";
+import logger from "./Logger.js";
+
+const log = logger.child({ component: "ViewerStore" });
+
+/**
+ * Counters of a profile (also the accepted sort keys)
+ * @type {string[]}
+ */
+export const VIEWER_STATS = [
+  "messages",
+  "likes",
+  "gifts",
+  "diamonds",
+  "gamesJoined",
+  "wins",
+];
+
+class ViewerStore {
+  constructor() {
+    // Singleton pattern - ensure only one instance exists
+    if (ViewerStore.instance) {
+      return ViewerStore.instance;
+    }
+    ViewerStore.instance = this;
+
+    /**
+     * Store file path (null = in-memory only)
+     * @type {string|null}
+     */
+    this.file = null;
+
+    /**
+     * Profiles per room, least recently seen first
+     * @type {Map<string, Map<string, Object>>}
+     */
+    this.rooms = new Map();
+
+    /**
+     * Profiles kept per room
+     * @type {number}
+     */
+    this.maxViewers = 10000;
+
+    /**
+     * Delay between a change and the file write
+     * @type {number}
+     */
+    this.saveDelayMs = 5000;
+
+    /**
+     * Pending save timer
+     * @type {NodeJS.Timeout|null}
+     */
+    this.saveTimer = null;
+  }
+
+  /**
+   * Load profiles from a JSON file
+   * A missing file is not an error (created on the first change).
+   *
+   * @param {string} file - Store file path
+   */
+  load(file) {
+    this.file = resolve(file);
+    this.rooms = new Map();
+
+    if (!existsSync(this.file)) return;
+
+    const data = JSON.parse(readFileSync(this.file, "utf8"));
+    for (const [room, viewers] of Object.entries(data.rooms || {})) {
+      const profiles = Object.entries(viewers)
+        .sort(([, a], [, b]) => a.lastSeen - b.lastSeen)
+        .slice(-this.maxViewers);
+      this.rooms.set(room, new Map(profiles));
+    }
+
+    log.info("Loaded viewers", { rooms: this.rooms.size });
+  }
+
+  /**
+   * Record viewer activity
+   * @param {string} room - Room ID
+   * @param {{uniqueId: string, nickname?: string, profilePictureUrl?: string}} user
+   * @param {Object<string, number>} [increments] - VIEWER_STATS to add to
+   * @returns {Object|null} Updated profile (null without a uniqueId, or
+   *   for presence of an unknown viewer)
+   */
+  update(room, user, increments = {}) {
+    if (!user?.uniqueId) return null;
+
+    const counted = Object.entries(increments).filter(
+      ([stat, value]) => VIEWER_STATS.includes(stat) && value > 0
+    );
+    if (counted.length === 0 && !this.getProfile(room, user.uniqueId)) {
+      return null;
+    }
+
+    const profile = this.getProfileState(room, user.uniqueId);
+    profile.nickname = user.nickname || profile.nickname;
+    profile.profilePictureUrl =
+      user.profilePictureUrl || profile.profilePictureUrl;
+    profile.lastSeen = Date.now();
+
+    for (const [stat, value] of counted) {
+      profile[stat] += value;
+    }
+
+    this.scheduleSave();
+    return profile;
+  }
+
+  /**
+   * Get one viewer's profile
+   * @param {string} room - Room ID
+   * @param {string} uniqueId - Viewer uniqueId
+   * @returns {Object|null}
+   */
+  getProfile(room, uniqueId) {
+    return this.rooms.get(room)?.get(uniqueId) || null;
+  }
+
+  /**
+   * List a room's viewers
+   * @param {string} room - Room ID
+   * @param {{sort?: string, limit?: number}} [options]
+   *   sort - A VIEWER_STATS counter or "lastSeen" (descending)
+   * @returns {{total: number, viewers: Object[]}}
+   */
+  list(room, { sort = "lastSeen", limit = 50 } = {}) {
+    if (sort !== "lastSeen" && !VIEWER_STATS.includes(sort)) {
+      throw new Error(
+        `sort must be one of: lastSeen, ${VIEWER_STATS.join(", ")}`
+      );
+    }
+
+    const viewers = Array.from(this.rooms.get(room)?.values() || []);
+    viewers.sort((a, b) => b[sort] - a[sort]);
+    return { total: viewers.length, viewers: viewers.slice(0, limit) };
+  }
+
+  /**
+   * Forget a viewer (e.g. on request)
+   * @param {string} room - Room ID
+   * @param {string} uniqueId - Viewer uniqueId
+   * @returns {boolean} Whether the viewer was known
+   */
+  remove(room, uniqueId) {
+    const removed = this.rooms.get(room)?.delete(uniqueId) || false;
+    if (removed) this.scheduleSave();
+    return removed;
+  }
+
+  /**
+   * Save soon (changes are batched)
+   */
+  scheduleSave() {
+    if (!this.file || this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch((error) =>
+        log.error("Save failed", { error: error.message })
+      );
+    }, this.saveDelayMs);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Write pending changes now
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await this.save();
+  }
+
+  /**
+   * Write all profiles to the store file
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.file) return;
+
+    const rooms = {};
+    for (const [room, viewers] of this.rooms.entries()) {
+      rooms[room] = Object.fromEntries(viewers);
+    }
+
+    // Unique temp name: a flush() may overlap a timed save
+    const tempFile = `${this.file}.${randomBytes(4).toString("hex")}.tmp`;
+    await mkdir(dirname(this.file), { recursive: true });
+    await writeFile(tempFile, JSON.stringify({ rooms }, null, 2) + "\n");
+    await rename(tempFile, this.file);
+  }
+
+  /**
+   * Get (or create) a viewer's profile, moved to the most recently seen end
+   * Creating one beyond maxViewers drops the least recently seen viewer.
+   * @param {string} room - Room ID
+   * @param {string} uniqueId - Viewer uniqueId
+   * @returns {Object}
+   */
+  getProfileState(room, uniqueId) {
+    if (!this.rooms.has(room)) this.rooms.set(room, new Map());
+    const viewers = this.rooms.get(room);
+
+    const now = Date.now();
+    const profile = viewers.get(uniqueId) || {
+      uniqueId,
+      nickname: uniqueId,
+      profilePictureUrl: "",
+      ...Object.fromEntries(VIEWER_STATS.map((stat) => [stat, 0])),
+      firstSeen: now,
+      lastSeen: now,
+    };
+    viewers.delete(uniqueId);
+    viewers.set(uniqueId, profile);
+
+    while (viewers.size > this.maxViewers) {
+      viewers.delete(viewers.keys().next().value);
+    }
+    return profile;
+  }
+}
+
+// Export singleton instance
+export default new ViewerStore();
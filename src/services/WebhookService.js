@@ -0,0 +1,677 @@
+/**
+ * WebhookService.js
+ * Outgoing webhooks for stream and game milestones, configured per room
+ *
+ * EVENTS (a webhook subscribes to some of them, or to "*"):
+ * - stream_start / stream_end: live connection opened / the streamer ended
+ *   the live (not sent when the server closes the connection itself)
+ * - gift, top_gifter: every final gift / a new top gifter of the stream
+ * - follow, subscribe
+ * - game_event, game_win: game reports (see GameReportService)
+ * Only live events are sent - replays never trigger webhooks.
+ *
+ * DELIVERY:
+ * - POST with a JSON body { id, event, room, timestamp, data }, or a Discord
+ *   message ({ content }) for webhooks with format "discord": viewer names
+ *   are markdown-escaped and mentions (@everyone, <@id>...) are disabled
+ * - URLs resolving to private, loopback or link-local addresses are refused
+ *   (at creation and before each attempt) unless allowPrivateUrls is set.
+ *   Requests connect to the address that passed the check (no DNS
+ *   rebinding in between) and never follow redirects: 3xx fails
+ * - X-Webhook-Signature: "sha256=" + HMAC-SHA256(secret, timestamp + "." + body)
+ *   with X-Webhook-Timestamp, so receivers can reject forged/replayed calls
+ * - Network errors, timeouts, 408, 429 and 5xx are retried with exponential
+ *   backoff (same id, receivers can de-duplicate); other statuses fail
+ * - The last `logSize` deliveries of each room are kept (in memory)
+ * - flush() (on shutdown) waits for pending deliveries instead of dropping them
+ *
+ * @module services/WebhookService
+ */
+
+import { createHmac, randomBytes } from "crypto";
+import { lookup } from "dns";
+import { existsSync, readFileSync } from "fs";
+import { mkdir, writeFile } from "fs/promises";
+import http from "http";
+import https from "https";
+import { BlockList, isIP } from "net";
+import { dirname, resolve } from "path";
+import logger from "./Logger.js";
+
+const log = logger.child({ component: "WebhookService" });
+
+/**
+ * Events a webhook can subscribe to
+ * @type {string[]}
+ */
+export const WEBHOOK_EVENTS = [
+  "stream_start",
+  "stream_end",
+  "gift",
+  "top_gifter",
+  "follow",
+  "subscribe",
+  "game_event",
+  "game_win",
+];
+
+/**
+ * Webhooks allowed per room
+ */
+const MAX_WEBHOOKS_PER_ROOM = 10;
+
+/**
+ * Default delivery policy (see configure())
+ * Retry N waits retryDelayMs * 2^(N-1).
+ */
+export const DEFAULT_DELIVERY = {
+  maxAttempts: 5,
+  retryDelayMs: 2000,
+  timeoutMs: 5000,
+  allowPrivateUrls: false, // Admin option (WEBHOOK_ALLOW_PRIVATE=1)
+};
+
+/**
+ * Addresses webhooks may not target: "this" network, private, CGNAT,
+ * loopback, link-local, benchmarking, multicast and reserved ranges
+ * (IPv4-mapped IPv6 addresses are matched against the IPv4 ranges)
+ */
+const PRIVATE_ADDRESSES = new BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([network, prefix]) =>
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv4")
+);
+[
+  ["::", 127], // Unspecified and loopback
+  ["64:ff9b::", 96], // NAT64
+  ["fc00::", 7], // Unique local
+  ["fe80::", 10], // Link-local
+  ["ff00::", 8], // Multicast
+].forEach(([network, prefix]) =>
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv6")
+);
+
+/**
+ * Reject resolved addresses that are not public
+ * @param {Array<{address: string, family: number}>} addresses
+ * @throws {Error} When an address is private (error.isPrivate)
+ */
+function checkAddresses(addresses) {
+  const isPrivate = ({ address, family }) =>
+    PRIVATE_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+  if (addresses.length === 0 || addresses.some(isPrivate)) {
+    const error = new Error("url must not point to a private or local address");
+    error.isPrivate = true;
+    throw error;
+  }
+}
+
+/**
+ * dns.lookup() for webhook requests: resolves and checks in one step, so
+ * the socket connects to an address that passed checkAddresses()
+ * @param {string} hostname
+ * @param {Object} options - dns.lookup() options (from net.connect())
+ * @param {function} callback
+ */
+function publicLookup(hostname, options, callback) {
+  lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    try {
+      checkAddresses(addresses);
+    } catch (privateError) {
+      return callback(privateError);
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Check that a webhook URL only resolves to public addresses
+ * @param {string} url - Webhook URL
+ * @returns {Promise<void>}
+ * @throws {Error} When the host cannot be resolved, or is not public
+ *   (error.isPrivate)
+ */
+async function assertPublicUrl(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+
+  let addresses;
+  try {
+    addresses = isIP(host)
+      ? [{ address: host, family: isIP(host) }]
+      : await new Promise((resolve, reject) =>
+          lookup(host, { all: true, verbatim: true }, (error, result) =>
+            error ? reject(error) : resolve(result)
+          )
+        );
+  } catch (e) {
+    throw new Error(`Cannot resolve webhook host ${host}`);
+  }
+  checkAddresses(addresses);
+}
+
+/**
+ * POST a webhook body (redirects are not followed)
+ * @param {string} url - Webhook URL
+ * @param {{headers: Object, body: string, timeoutMs: number, allowPrivateUrls: boolean}} options
+ * @returns {Promise<number>} Response status
+ */
+function post(url, { headers, body, timeoutMs, allowPrivateUrls }) {
+  const { request } = url.startsWith("https:") ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = request(
+      url,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: allowPrivateUrls ? undefined : publicLookup,
+        signal: AbortSignal.timeout(timeoutMs),
+      },
+      (res) => {
+        res.resume(); // The response body is not used
+        resolve(res.statusCode);
+      }
+    );
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Escape Discord markdown in untrusted text (viewer names, gift names...)
+ * @param {*} text
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+  return String(text ?? "")
+    .replace(/\s+/g, " ")
+    .replace(/[\\*_~`|>#<[\]()-]/g, "\\$&");
+}
+
+/**
+ * Discord message text of an event
+ * @param {string} room - Room ID
+ * @param {string} event - Webhook event
+ * @param {Object} data - Event data
+ * @returns {string}
+ */
+function toDiscordText(room, event, data) {
+  const name = escapeMarkdown(data.user?.nickname || data.user?.uniqueId);
+  room = escapeMarkdown(room);
+
+  switch (event) {
+    case "stream_start":
+      return `🔴 **${room}** is live!`;
+    case "stream_end":
+      return `⏹️ **${room}** ended the live`;
+    case "gift":
+      return `🎁 **${name}** sent ${escapeMarkdown(data.giftName)} x${
+        data.repeatCount
+      } (${data.totalValue} 💎)`;
+    case "top_gifter":
+      return `👑 **${name}** is the new top gifter of **${room}** (${data.diamonds} 💎)`;
+    case "follow":
+      return `➕ **${name}** followed **${room}**`;
+    case "subscribe":
+      return `⭐ **${name}** subscribed to **${room}**`;
+    case "game_event":
+      return `🎮 ${escapeMarkdown(data.game)}: ${escapeMarkdown(data.name)}`;
+    case "game_win":
+      return `🏆 **${name}** won ${escapeMarkdown(data.game)}!`;
+    default:
+      return `🔔 **${room}**: ${event}`;
+  }
+}
+
+class WebhookService {
+  constructor() {
+    // Singleton pattern - ensure only one instance exists
+    if (WebhookService.instance) {
+      return WebhookService.instance;
+    }
+    WebhookService.instance = this;
+
+    /**
+     * Webhook file path (null = in-memory only)
+     * @type {string|null}
+     */
+    this.file = null;
+
+    /**
+     * Webhooks per room
+     * @type {Map<string, Array<{id: string, url: string, events: string[], format: string, secret: string, createdAt: number}>>}
+     */
+    this.rooms = new Map();
+
+    /**
+     * Recent deliveries per room (oldest first)
+     * @type {Map<string, Object[]>}
+     */
+    this.deliveries = new Map();
+
+    /**
+     * Deliveries kept per room
+     * @type {number}
+     */
+    this.logSize = 100;
+
+    /**
+     * Diamonds per viewer in the current stream (for "top_gifter")
+     * @type {Map<string, {leader: string|null, totals: Map<string, number>}>}
+     */
+    this.gifters = new Map();
+
+    /**
+     * Delivery policy
+     * @type {typeof DEFAULT_DELIVERY}
+     */
+    this.options = { ...DEFAULT_DELIVERY };
+
+    /**
+     * Delivery attempts in progress (see flush())
+     * @type {Set<Promise<void>>}
+     */
+    this.inFlight = new Set();
+
+    /**
+     * Retries waiting for their backoff delay, by timer
+     * @type {Map<NodeJS.Timeout, function(): void>}
+     */
+    this.retries = new Map();
+  }
+
+  /**
+   * Configure deliveries
+   * @param {Partial<typeof DEFAULT_DELIVERY>} options
+   */
+  configure(options = {}) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Load webhooks from a JSON file
+   * @param {string} file - Webhook file path
+   */
+  load(file) {
+    this.file = resolve(file);
+    this.rooms = new Map();
+
+    if (!existsSync(this.file)) return;
+
+    const data = JSON.parse(readFileSync(this.file, "utf8"));
+    for (const [room, webhooks] of Object.entries(data.rooms || {})) {
+      this.rooms.set(room, webhooks);
+    }
+    log.info("Loaded webhooks", { rooms: this.rooms.size });
+  }
+
+  /**
+   * Add a webhook to a room
+   * @param {string} room - Room ID
+   * @param {{url: string, events?: string[], format?: "json"|"discord", secret?: string}} options
+   *   events - WEBHOOK_EVENTS to send (default: all)
+   *   secret - HMAC secret (default: generated)
+   * @returns {Promise<Object>} The webhook, including its secret
+   * @throws {Error} When invalid, or when it cannot be saved
+   *   (`error.saveFailed`, the webhook is not added)
+   */
+  async add(room, { url, events = ["*"], format = "json", secret } = {}) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      throw new Error("url must be a valid URL");
+    }
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+      throw new Error("url must use http or https");
+    }
+    if (!this.options.allowPrivateUrls) await assertPublicUrl(parsed.href);
+    if (
+      !Array.isArray(events) ||
+      events.length === 0 ||
+      !events.every((event) => event === "*" || WEBHOOK_EVENTS.includes(event))
+    ) {
+      throw new Error(
+        `events must be a list of: *, ${WEBHOOK_EVENTS.join(", ")}`
+      );
+    }
+    if (format !== "json" && format !== "discord") {
+      throw new Error('format must be "json" or "discord"');
+    }
+    if (secret !== undefined && (typeof secret !== "string" || !secret)) {
+      throw new Error("secret must be a non-empty string");
+    }
+
+    const webhooks = this.rooms.get(room) || [];
+    if (webhooks.length >= MAX_WEBHOOKS_PER_ROOM) {
+      throw new Error(
+        `A room can have at most ${MAX_WEBHOOKS_PER_ROOM} webhooks`
+      );
+    }
+
+    const webhook = {
+      id: randomBytes(6).toString("hex"),
+      url: parsed.toString(),
+      events,
+      format,
+      secret: secret || randomBytes(24).toString("hex"),
+      createdAt: Date.now(),
+    };
+    this.rooms.set(room, [...webhooks, webhook]);
+    await this.save(() => this.drop(room, webhook.id));
+
+    log.info("Webhook added", { room, url: webhook.url });
+    return webhook;
+  }
+
+  /**
+   * Remove a webhook
+   * @param {string} room - Room ID
+   * @param {string} id - Webhook ID
+   * @returns {Promise<boolean>} Whether the webhook existed
+   * @throws {Error} When it cannot be saved (`error.saveFailed`, the webhook
+   *   stays)
+   */
+  async remove(room, id) {
+    const removed = this.drop(room, id);
+    if (!removed) return false;
+
+    await this.save(() =>
+      this.rooms.set(room, [...(this.rooms.get(room) || []), removed])
+    );
+    return true;
+  }
+
+  /**
+   * Take a webhook out of a room's list (not saved)
+   * @param {string} room - Room ID
+   * @param {string} id - Webhook ID
+   * @returns {Object|null} The removed webhook
+   */
+  drop(room, id) {
+    const webhooks = this.rooms.get(room) || [];
+    const removed = webhooks.find((webhook) => webhook.id === id);
+    if (!removed) return null;
+
+    const remaining = webhooks.filter((webhook) => webhook !== removed);
+    if (remaining.length > 0) {
+      this.rooms.set(room, remaining);
+    } else {
+      this.rooms.delete(room);
+    }
+    return removed;
+  }
+
+  /**
+   * List a room's webhooks (without secrets)
+   * @param {string} room - Room ID
+   * @returns {Object[]}
+   */
+  list(room) {
+    return (this.rooms.get(room) || []).map(
+      ({ secret, ...webhook }) => webhook
+    );
+  }
+
+  /**
+   * Send an event to the room's subscribed webhooks
+   * Fire-and-forget: deliveries and retries run in the background.
+   *
+   * @param {string} room - Room ID
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {Object} data - Event data
+   */
+  dispatch(room, event, data) {
+    // Top gifters are per stream session
+    if (event === "stream_start" || event === "stream_end") {
+      this.resetStream(room);
+    }
+    if (event === "gift") this.trackGifter(room, data);
+
+    for (const webhook of this.rooms.get(room) || []) {
+      if (webhook.events.includes("*") || webhook.events.includes(event)) {
+        this.send(room, webhook, event, data);
+      }
+    }
+  }
+
+  /**
+   * Forget a room's stream session (top gifter totals) without sending
+   * anything - the connection was closed on our side
+   * @param {string} room - Room ID
+   */
+  resetStream(room) {
+    this.gifters.delete(room);
+  }
+
+  /**
+   * Send a "ping" event to one webhook
+   * @param {string} room - Room ID
+   * @param {string} id - Webhook ID
+   * @returns {Object|null} Delivery (null = unknown webhook)
+   */
+  test(room, id) {
+    const webhook = (this.rooms.get(room) || []).find((hook) => hook.id === id);
+    if (!webhook) return null;
+    return this.send(room, webhook, "ping", { message: "Webhook test" });
+  }
+
+  /**
+   * Get a room's recent deliveries (newest first)
+   * @param {string} room - Room ID
+   * @param {number} [limit=50]
+   * @returns {Object[]}
+   */
+  getDeliveries(room, limit = 50) {
+    return (this.deliveries.get(room) || []).slice(-limit).reverse();
+  }
+
+  /**
+   * Create a delivery and make its first attempt
+   * @param {string} room - Room ID
+   * @param {Object} webhook - Target webhook
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @returns {Object} Delivery log entry (updated as attempts complete)
+   */
+  send(room, webhook, event, data) {
+    const id = randomBytes(8).toString("hex");
+    const body = JSON.stringify(
+      webhook.format === "discord"
+        ? {
+            content: toDiscordText(room, event, data),
+            allowed_mentions: { parse: [] },
+          }
+        : { id, event, room, timestamp: Date.now(), data }
+    );
+
+    const delivery = {
+      id,
+      room,
+      webhookId: webhook.id,
+      event,
+      status: "pending",
+      attempts: 0,
+      responseStatus: null,
+      error: null,
+      createdAt: Date.now(),
+      completedAt: null,
+    };
+
+    if (!this.deliveries.has(room)) this.deliveries.set(room, []);
+    const deliveries = this.deliveries.get(room);
+    deliveries.push(delivery);
+    if (deliveries.length > this.logSize) deliveries.shift();
+
+    this.track(webhook, delivery, body);
+    return delivery;
+  }
+
+  /**
+   * Start a delivery attempt, tracked until it completes
+   * @param {Object} webhook - Target webhook
+   * @param {Object} delivery - Delivery log entry
+   * @param {string} body - Request body
+   */
+  track(webhook, delivery, body) {
+    const attempt = this.attempt(webhook, delivery, body).finally(() =>
+      this.inFlight.delete(attempt)
+    );
+    this.inFlight.add(attempt);
+  }
+
+  /**
+   * Make one delivery attempt, scheduling a retry if it may succeed later
+   * @param {Object} webhook - Target webhook
+   * @param {Object} delivery - Delivery log entry
+   * @param {string} body - Request body (identical for every attempt)
+   * @returns {Promise<void>}
+   */
+  async attempt(webhook, delivery, body) {
+    const { maxAttempts, retryDelayMs, timeoutMs } = this.options;
+    const timestamp = Date.now().toString();
+    const signature = createHmac("sha256", webhook.secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+
+    delivery.attempts++;
+    let retryable = true;
+
+    try {
+      // The host may resolve elsewhere since the webhook was added (IP
+      // literals are checked here, host names again on connect)
+      if (!this.options.allowPrivateUrls) await assertPublicUrl(webhook.url);
+
+      const status = await post(webhook.url, {
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "tiktok-live-games-webhooks",
+          "X-Webhook-Id": delivery.id,
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Timestamp": timestamp,
+          "X-Webhook-Signature": `sha256=${signature}`,
+        },
+        body,
+        timeoutMs,
+        allowPrivateUrls: this.options.allowPrivateUrls,
+      });
+      delivery.responseStatus = status;
+
+      if (status >= 200 && status < 300) {
+        delivery.status = "delivered";
+        delivery.error = null;
+        delivery.completedAt = Date.now();
+        return;
+      }
+      retryable = status >= 500 || [408, 429].includes(status);
+      throw new Error(
+        status >= 300 && status < 400
+          ? `HTTP ${status} (redirects are not followed)`
+          : `HTTP ${status}`
+      );
+    } catch (error) {
+      if (error.isPrivate) retryable = false;
+      delivery.error = error.message;
+
+      if (!retryable || delivery.attempts >= maxAttempts) {
+        delivery.status = "failed";
+        delivery.completedAt = Date.now();
+        log.warn("Webhook delivery failed", {
+          room: delivery.room,
+          url: webhook.url,
+          delivery: delivery.id,
+          attempts: delivery.attempts,
+          error: error.message,
+        });
+        return;
+      }
+
+      const delayMs = retryDelayMs * 2 ** (delivery.attempts - 1);
+      const retry = () => {
+        this.retries.delete(timer);
+        this.track(webhook, delivery, body);
+      };
+      const timer = setTimeout(retry, delayMs).unref();
+      this.retries.set(timer, retry);
+    }
+  }
+
+  /**
+   * Add a gift to the stream totals and announce a new top gifter
+   * @param {string} room - Room ID
+   * @param {{user: {uniqueId: string}, totalValue: number}} gift
+   */
+  trackGifter(room, gift) {
+    if (!gift.user?.uniqueId || !(gift.totalValue > 0)) return;
+
+    if (!this.gifters.has(room)) {
+      this.gifters.set(room, { leader: null, totals: new Map() });
+    }
+    const state = this.gifters.get(room);
+    const uniqueId = gift.user.uniqueId;
+    const diamonds = (state.totals.get(uniqueId) || 0) + gift.totalValue;
+    state.totals.set(uniqueId, diamonds);
+
+    const leaderDiamonds = state.totals.get(state.leader) || 0;
+    if (uniqueId !== state.leader && diamonds > leaderDiamonds) {
+      const previous = state.leader;
+      state.leader = uniqueId;
+      this.dispatch(room, "top_gifter", {
+        user: gift.user,
+        diamonds,
+        previous,
+      });
+    }
+  }
+
+  /**
+   * Finish pending deliveries before exiting: waiting retries are attempted
+   * right away (once), then every attempt in progress is awaited
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    for (const [timer, retry] of this.retries) {
+      clearTimeout(timer);
+      retry();
+    }
+    await Promise.allSettled([...this.inFlight]);
+  }
+
+  /**
+   * Write webhooks back to the webhook file
+   * @param {Function} [undo] - Reverts the change being saved if writing fails
+   * @returns {Promise<void>}
+   * @throws {Error} The write error, with `error.saveFailed` set
+   */
+  async save(undo) {
+    if (!this.file) return;
+
+    try {
+      await mkdir(dirname(this.file), { recursive: true });
+      await writeFile(
+        this.file,
+        JSON.stringify({ rooms: Object.fromEntries(this.rooms) }, null, 2) +
+          "\n"
+      );
+    } catch (error) {
+      undo?.();
+      error.saveFailed = true;
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+export default new WebhookService();
@@ -0,0 +1,342 @@
+/**
+ * Coordinator.js
+ * Base class for the coordination layer shared by server processes
+ *
+ * Several server processes can serve the same rooms behind a load balancer.
+ * The coordinator keeps them consistent:
+ * - Leases: exactly one process (the owner) holds a room's upstream
+ *   connection. Leases expire after `leaseTtlMs` unless renewed, so a
+ *   crashed owner is replaced by another process. "leaseLost" is emitted
+ *   when a renewal fails (room ID as argument).
+ * - Client counts: each process publishes how many clients it has per
+ *   room, so an owner keeps the connection open while other processes
+ *   still have viewers.
+ * - Socket.io adapter (createAdapter()): room broadcasts reach the clients
+ *   of every process.
+ *
+ * Implementations provide storage and messaging through the hooks below
+ * (open, close, tryAcquire, renewLease, releaseLease, publish, subscribe,
+ * unsubscribe).
+ *
+ * @module services/coordination/Coordinator
+ */
+
+import { EventEmitter } from "events";
+import { hostname } from "os";
+import { randomBytes } from "crypto";
+import logger from "../Logger.js";
+
+const log = logger.child({ component: "Coordinator" });
+
+/**
+ * Default lease and heartbeat timings (see constructor options)
+ */
+export const DEFAULT_COORDINATION = {
+  leaseTtlMs: 15000,
+  heartbeatMs: 5000,
+};
+
+/**
+ * Channel used to share client counts
+ */
+const CLIENTS_CHANNEL = "clients";
+
+export default class Coordinator extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.nodeId] - Unique process ID (default: host:pid:random)
+   * @param {number} [options.leaseTtlMs=15000] - Lease lifetime, renewed every third of it
+   * @param {number} [options.heartbeatMs=5000] - Client count publish interval
+   *   (counts of a process are forgotten after 3 missed heartbeats)
+   */
+  constructor(options = {}) {
+    super();
+    this.nodeId =
+      options.nodeId ||
+      `${hostname()}:${process.pid}:${randomBytes(3).toString("hex")}`;
+    this.leaseTtlMs = options.leaseTtlMs || DEFAULT_COORDINATION.leaseTtlMs;
+    this.heartbeatMs = options.heartbeatMs || DEFAULT_COORDINATION.heartbeatMs;
+
+    /**
+     * Leases held by this process (room → last successful renewal)
+     * @type {Map<string, number>}
+     */
+    this.leases = new Map();
+
+    /**
+     * In-flight acquire() calls, so concurrent joins share one request
+     * @type {Map<string, Promise<boolean>>}
+     */
+    this.pendingAcquires = new Map();
+
+    /**
+     * Client count per room on this process
+     * @type {Map<string, number>}
+     */
+    this.localClients = new Map();
+
+    /**
+     * Latest client counts of the other processes
+     * @type {Map<string, {counts: Object<string, number>, updatedAt: number}>}
+     */
+    this.remoteClients = new Map();
+
+    this.renewTimer = null;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Coordinator type identifier (e.g. "memory", "redis")
+   * @returns {string}
+   */
+  get type() {
+    return "base";
+  }
+
+  /**
+   * Connect and start renewing leases / publishing client counts
+   * @returns {Promise<void>}
+   */
+  async start() {
+    await this.open();
+    await this.subscribe(CLIENTS_CHANNEL, (message) => this.onClients(message));
+
+    this.renewTimer = setInterval(
+      () => this.renewLeases(),
+      Math.floor(this.leaseTtlMs / 3)
+    );
+    this.renewTimer.unref();
+    this.heartbeatTimer = setInterval(
+      () => this.publishClients(),
+      this.heartbeatMs
+    );
+    this.heartbeatTimer.unref();
+
+    log.info("Coordinator started", { type: this.type, node: this.nodeId });
+  }
+
+  /**
+   * Release every lease, withdraw client counts and disconnect
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    clearInterval(this.renewTimer);
+    clearInterval(this.heartbeatTimer);
+
+    await Promise.all(
+      Array.from(this.leases.keys()).map((room) => this.release(room))
+    );
+    this.localClients.clear();
+    await this.publishClients();
+    await this.close();
+  }
+
+  /**
+   * Try to become the owner of a room's upstream connection
+   * @param {string} room - Room ID
+   * @returns {Promise<boolean>} Whether this process owns the room
+   */
+  async acquire(room) {
+    if (this.leases.has(room)) return true;
+    if (this.pendingAcquires.has(room)) return this.pendingAcquires.get(room);
+
+    const pending = this.tryAcquire(room)
+      .then((acquired) => {
+        if (acquired) this.leases.set(room, Date.now());
+        return acquired;
+      })
+      .finally(() => this.pendingAcquires.delete(room));
+
+    this.pendingAcquires.set(room, pending);
+    return pending;
+  }
+
+  /**
+   * Give up ownership of a room (no-op when not the owner)
+   * @param {string} room - Room ID
+   * @returns {Promise<void>}
+   */
+  async release(room) {
+    if (!this.leases.delete(room)) return;
+
+    try {
+      await this.releaseLease(room);
+    } catch (error) {
+      // The lease expires on its own
+      log.warn("Cannot release lease", { room, error: error.message });
+    }
+  }
+
+  /**
+   * Whether this process owns a room
+   * @param {string} room - Room ID
+   * @returns {boolean}
+   */
+  isOwner(room) {
+    return this.leases.has(room);
+  }
+
+  /**
+   * Renew every held lease
+   * A lease is lost when another process took it, or when it could not be
+   * renewed before it expired (e.g. coordination backend unreachable).
+   * @returns {Promise<void>}
+   */
+  async renewLeases() {
+    await Promise.all(
+      Array.from(this.leases.keys()).map(async (room) => {
+        let renewed;
+        try {
+          renewed = await this.renewLease(room);
+        } catch (error) {
+          log.warn("Cannot renew lease", { room, error: error.message });
+          renewed = Date.now() - this.leases.get(room) < this.leaseTtlMs;
+          if (renewed) return;
+        }
+
+        if (!this.leases.has(room)) return; // Released meanwhile
+        if (renewed) {
+          this.leases.set(room, Date.now());
+        } else {
+          this.leases.delete(room);
+          log.warn("Lease lost", { room });
+          this.emit("leaseLost", room);
+        }
+      })
+    );
+  }
+
+  /**
+   * Report this process' client count of a room
+   * @param {string} room - Room ID
+   * @param {number} count
+   */
+  reportClients(room, count) {
+    if (count > 0) {
+      this.localClients.set(room, count);
+    } else {
+      this.localClients.delete(room);
+    }
+    this.publishClients();
+  }
+
+  /**
+   * Get the number of clients other processes have in a room
+   * @param {string} room - Room ID
+   * @returns {number}
+   */
+  getRemoteClientCount(room) {
+    const freshSince = Date.now() - this.heartbeatMs * 3;
+    let total = 0;
+    for (const { counts, updatedAt } of this.remoteClients.values()) {
+      if (updatedAt >= freshSince) total += counts[room] || 0;
+    }
+    return total;
+  }
+
+  /**
+   * Publish this process' client counts
+   * @returns {Promise<void>}
+   */
+  async publishClients() {
+    try {
+      await this.publish(CLIENTS_CHANNEL, {
+        node: this.nodeId,
+        counts: Object.fromEntries(this.localClients),
+      });
+    } catch (error) {
+      log.warn("Cannot publish client counts", { error: error.message });
+    }
+  }
+
+  /**
+   * Store the client counts published by another process
+   * @param {{node: string, counts: Object<string, number>}} message
+   */
+  onClients({ node, counts }) {
+    if (node === this.nodeId) return;
+
+    if (Object.keys(counts).length === 0) {
+      this.remoteClients.delete(node);
+    } else {
+      this.remoteClients.set(node, { counts, updatedAt: Date.now() });
+    }
+  }
+
+  /**
+   * Socket.io adapter that shares room broadcasts between processes
+   * @returns {Function|null} Adapter constructor for io.adapter(), or null
+   *   to keep the default (single process) adapter
+   */
+  createAdapter() {
+    return null;
+  }
+
+  /**
+   * Connect to the coordination backend
+   * @returns {Promise<void>}
+   */
+  async open() {}
+
+  /**
+   * Disconnect from the coordination backend
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Take a room's lease if it is free or expired
+   * @param {string} room - Room ID
+   * @returns {Promise<boolean>} Whether the lease was taken
+   */
+  async tryAcquire(room) {
+    throw new Error(`${this.constructor.name} must implement tryAcquire()`);
+  }
+
+  /**
+   * Extend a lease held by this process
+   * @param {string} room - Room ID
+   * @returns {Promise<boolean>} false when the lease belongs to someone else
+   */
+  async renewLease(room) {
+    throw new Error(`${this.constructor.name} must implement renewLease()`);
+  }
+
+  /**
+   * Delete a lease held by this process
+   * @param {string} room - Room ID
+   * @returns {Promise<void>}
+   */
+  async releaseLease(room) {
+    throw new Error(`${this.constructor.name} must implement releaseLease()`);
+  }
+
+  /**
+   * Send a message to every process (including this one)
+   * @param {string} channel
+   * @param {Object} message - JSON serializable
+   * @returns {Promise<void>}
+   */
+  async publish(channel, message) {
+    throw new Error(`${this.constructor.name} must implement publish()`);
+  }
+
+  /**
+   * Receive the messages of a channel (one handler per channel)
+   * @param {string} channel
+   * @param {function(Object): void} handler
+   * @returns {Promise<void>}
+   */
+  async subscribe(channel, handler) {
+    throw new Error(`${this.constructor.name} must implement subscribe()`);
+  }
+
+  /**
+   * Stop receiving the messages of a channel
+   * @param {string} channel
+   * @returns {Promise<void>}
+   */
+  async unsubscribe(channel) {
+    throw new Error(`${this.constructor.name} must implement unsubscribe()`);
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * CoordinatorAdapter.js
+ * Socket.io adapter that relays room broadcasts through a Coordinator
+ *
+ * Built on socket.io-adapter's ClusterAdapterWithHeartbeat: it handles
+ * broadcasts, socketsJoin / fetchSockets across processes and tracks the
+ * other servers through heartbeats. This class only moves its messages
+ * over the coordinator's publish / subscribe (JSON, so event payloads
+ * must not contain binary data).
+ *
+ * @module services/coordination/CoordinatorAdapter
+ */
+
+import { ClusterAdapterWithHeartbeat } from "socket.io-adapter";
+import logger from "../Logger.js";
+
+const log = logger.child({ component: "CoordinatorAdapter" });
+
+export default class CoordinatorAdapter extends ClusterAdapterWithHeartbeat {
+  /**
+   * @param {import('socket.io').Namespace} nsp - Namespace served
+   * @param {import('./Coordinator.js').default} coordinator
+   * @param {{heartbeatInterval?: number, heartbeatTimeout?: number}} [options]
+   */
+  constructor(nsp, coordinator, options = {}) {
+    super(nsp, options);
+    this.coordinator = coordinator;
+    this.channel = `socket.io#${nsp.name}`;
+    this.responseChannel = this.getResponseChannel(this.uid);
+
+    const subscribe = (channel, handler) =>
+      coordinator.subscribe(channel, handler).catch((error) => {
+        log.error("Cannot subscribe", { channel, error: error.message });
+      });
+    subscribe(this.channel, (message) => this.onMessage(message));
+    subscribe(this.responseChannel, (response) => this.onResponse(response));
+  }
+
+  /**
+   * Send a message to every server of the namespace
+   * @param {Object} message - Cluster message
+   * @returns {Promise<string>} Offset (unused: pub/sub has no history)
+   */
+  async doPublish(message) {
+    await this.coordinator.publish(this.channel, message);
+    return "";
+  }
+
+  /**
+   * Answer a request of another server
+   * @param {string} requesterUid - Adapter ID of the requesting server
+   * @param {Object} response - Cluster response
+   * @returns {Promise<void>}
+   */
+  async doPublishResponse(requesterUid, response) {
+    await this.coordinator.publish(
+      this.getResponseChannel(requesterUid),
+      response
+    );
+  }
+
+  /**
+   * Tell the other servers this one is gone and stop listening
+   */
+  close() {
+    super.close();
+    this.coordinator.unsubscribe(this.channel).catch(() => {});
+    this.coordinator.unsubscribe(this.responseChannel).catch(() => {});
+  }
+
+  /**
+   * Channel receiving the responses addressed to one server
+   * @param {string} uid - Adapter ID
+   * @returns {string}
+   */
+  getResponseChannel(uid) {
+    return `socket.io-response#${this.nsp.name}#${uid}`;
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * MemoryCoordinator.js
+ * Single process coordinator (default) - leases and messages stay in memory
+ *
+ * Use it when only one server process runs: it always wins the lease of a
+ * free room and keeps the default Socket.io adapter.
+ *
+ * @module services/coordination/MemoryCoordinator
+ */
+
+import { EventEmitter } from "events";
+import Coordinator from "./Coordinator.js";
+
+export default class MemoryCoordinator extends Coordinator {
+  /**
+   * @param {Object} [options] - See Coordinator
+   */
+  constructor(options = {}) {
+    super(options);
+
+    /**
+     * Leases by room
+     * @type {Map<string, {owner: string, expiresAt: number}>}
+     */
+    this.store = new Map();
+
+    this.bus = new EventEmitter();
+  }
+
+  get type() {
+    return "memory";
+  }
+
+  async tryAcquire(room) {
+    const lease = this.store.get(room);
+    if (lease && lease.owner !== this.nodeId && lease.expiresAt > Date.now()) {
+      return false;
+    }
+    this.store.set(room, {
+      owner: this.nodeId,
+      expiresAt: Date.now() + this.leaseTtlMs,
+    });
+    return true;
+  }
+
+  async renewLease(room) {
+    const lease = this.store.get(room);
+    if (lease?.owner !== this.nodeId) return false;
+    lease.expiresAt = Date.now() + this.leaseTtlMs;
+    return true;
+  }
+
+  async releaseLease(room) {
+    if (this.store.get(room)?.owner === this.nodeId) this.store.delete(room);
+  }
+
+  async publish(channel, message) {
+    this.bus.emit(channel, message);
+  }
+
+  async subscribe(channel, handler) {
+    this.bus.removeAllListeners(channel);
+    this.bus.on(channel, handler);
+  }
+
+  async unsubscribe(channel) {
+    this.bus.removeAllListeners(channel);
+  }
+}
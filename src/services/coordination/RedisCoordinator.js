@@ -0,0 +1,151 @@
+/**
+ * RedisCoordinator.js
+ * Multi-process coordinator backed by Redis (or any RESP-compatible server:
+ * Valkey, KeyDB, Dragonfly...)
+ *
+ * - Leases: `SET <prefix>lease:<room> <nodeId> NX PX <ttl>`, renewed and
+ *   released with scripts that first check the owner
+ * - Messages: PUBLISH / SUBSCRIBE on `<prefix><channel>`, JSON payloads
+ *   (one connection for commands, one in subscriber mode)
+ * - Socket.io adapter: broadcasts travel over the same pub/sub
+ *
+ * @module services/coordination/RedisCoordinator
+ */
+
+import Coordinator from "./Coordinator.js";
+import CoordinatorAdapter from "./CoordinatorAdapter.js";
+import RespClient from "./RespClient.js";
+import logger from "../Logger.js";
+
+const log = logger.child({ component: "RedisCoordinator" });
+
+/**
+ * Extend the lease (ms) if still owned: KEYS[1] = lease, ARGV = owner, ttl
+ */
+const RENEW_SCRIPT = `if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("PEXPIRE", KEYS[1], ARGV[2])
+end
+return 0`;
+
+/**
+ * Delete the lease if still owned: KEYS[1] = lease, ARGV[1] = owner
+ */
+const RELEASE_SCRIPT = `if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("DEL", KEYS[1])
+end
+return 0`;
+
+export default class RedisCoordinator extends Coordinator {
+  /**
+   * @param {Object} [options] - See Coordinator, plus:
+   * @param {string} [options.url="redis://127.0.0.1:6379"] - Server URL
+   * @param {string} [options.prefix="tiktok-live-games:"] - Key and channel prefix
+   */
+  constructor(options = {}) {
+    super(options);
+    this.url = options.url || "redis://127.0.0.1:6379";
+    this.prefix = options.prefix ?? "tiktok-live-games:";
+    this.client = new RespClient(this.url);
+    this.subscriber = new RespClient(this.url);
+
+    /**
+     * Message handlers by (unprefixed) channel
+     * @type {Map<string, function(Object): void>}
+     */
+    this.handlers = new Map();
+
+    this.subscriber.on("message", (channel, payload) => {
+      const handler = this.handlers.get(channel.slice(this.prefix.length));
+      if (!handler) return;
+      try {
+        handler(JSON.parse(payload));
+      } catch (error) {
+        log.warn("Cannot handle message", { channel, error: error.message });
+      }
+    });
+  }
+
+  get type() {
+    return "redis";
+  }
+
+  async open() {
+    await this.client.connect();
+    await this.subscriber.connect();
+  }
+
+  async close() {
+    await this.client.close();
+    await this.subscriber.close();
+  }
+
+  async tryAcquire(room) {
+    const reply = await this.client.command(
+      "SET",
+      this.leaseKey(room),
+      this.nodeId,
+      "NX",
+      "PX",
+      this.leaseTtlMs
+    );
+    return reply === "OK";
+  }
+
+  async renewLease(room) {
+    const renewed = await this.client.command(
+      "EVAL",
+      RENEW_SCRIPT,
+      1,
+      this.leaseKey(room),
+      this.nodeId,
+      this.leaseTtlMs
+    );
+    return renewed === 1;
+  }
+
+  async releaseLease(room) {
+    await this.client.command(
+      "EVAL",
+      RELEASE_SCRIPT,
+      1,
+      this.leaseKey(room),
+      this.nodeId
+    );
+  }
+
+  async publish(channel, message) {
+    await this.client.command(
+      "PUBLISH",
+      this.prefix + channel,
+      JSON.stringify(message)
+    );
+  }
+
+  async subscribe(channel, handler) {
+    this.handlers.set(channel, handler);
+    await this.subscriber.subscribe(this.prefix + channel);
+  }
+
+  async unsubscribe(channel) {
+    this.handlers.delete(channel);
+    await this.subscriber.unsubscribe(this.prefix + channel);
+  }
+
+  createAdapter() {
+    const coordinator = this;
+    return class extends CoordinatorAdapter {
+      constructor(nsp) {
+        super(nsp, coordinator);
+      }
+    };
+  }
+
+  /**
+   * Redis key of a room's lease
+   * @param {string} room - Room ID
+   * @returns {string}
+   */
+  leaseKey(room) {
+    return `${this.prefix}lease:${room}`;
+  }
+}
@@ -0,0 +1,281 @@
+/**
+ * RespClient.js
+ * Minimal Redis client (RESP2 protocol over TCP, no dependencies)
+ *
+ * Supports what the coordinator needs: commands with string arguments,
+ * AUTH / SELECT from the URL, and pub/sub. A connection in subscriber mode
+ * emits "message" (channel, payload) and can only (un)subscribe.
+ *
+ * Lost connections are reopened after `retryDelayMs` (pending commands are
+ * rejected, subscriptions are restored).
+ *
+ * @module services/coordination/RespClient
+ */
+
+import { EventEmitter } from "events";
+import net from "net";
+import logger from "../Logger.js";
+
+const log = logger.child({ component: "RespClient" });
+
+/**
+ * Parse one RESP value
+ * @param {Buffer} buffer
+ * @param {number} offset - Position of the type byte
+ * @returns {{value: *, offset: number}|null} null when incomplete
+ */
+function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf("\r\n", offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString("utf8", offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case "+":
+      return { value: line, offset: next };
+    case "-":
+      return { value: new Error(line), offset: next };
+    case ":":
+      return { value: Number(line), offset: next };
+    case "$": {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return {
+        value: buffer.toString("utf8", next, next + length),
+        offset: next + length + 2,
+      };
+    }
+    case "*": {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected RESP type: ${type}`);
+  }
+}
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array<string|number>} args
+ * @returns {string}
+ */
+function encodeCommand(args) {
+  let text = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    text += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return text;
+}
+
+export default class RespClient extends EventEmitter {
+  /**
+   * @param {string} url - redis://[:password@]host[:port][/db]
+   * @param {Object} [options]
+   * @param {number} [options.retryDelayMs=1000] - Delay before reconnecting
+   */
+  constructor(url, options = {}) {
+    super();
+    const parsed = new URL(url);
+    if (parsed.protocol !== "redis:") {
+      throw new Error(`Unsupported Redis URL: ${url} (expected redis://)`);
+    }
+
+    this.host = parsed.hostname || "127.0.0.1";
+    this.port = Number(parsed.port) || 6379;
+    this.username = decodeURIComponent(parsed.username);
+    this.password = decodeURIComponent(parsed.password);
+    this.db = Number(parsed.pathname.slice(1)) || 0;
+    this.retryDelayMs = options.retryDelayMs ?? 1000;
+
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.ready = false; // Connected once: lost connections are reopened
+    this.closing = false;
+
+    /**
+     * Commands waiting for their reply (in order)
+     * @type {Array<{resolve: Function, reject: Function}>}
+     */
+    this.pending = [];
+
+    /**
+     * Subscribed channels (restored after a reconnect)
+     * @type {Set<string>}
+     */
+    this.channels = new Set();
+  }
+
+  /**
+   * Open the connection (authenticates and selects the database)
+   * @returns {Promise<void>}
+   */
+  connect() {
+    this.closing = false;
+
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(this.port, this.host);
+      this.socket = socket;
+      this.buffer = Buffer.alloc(0);
+
+      socket.once("connect", async () => {
+        socket.removeListener("error", reject);
+        socket.on("error", (error) =>
+          log.warn("Redis connection error", { error: error.message })
+        );
+        try {
+          if (this.password) {
+            await this.command(
+              ...(this.username
+                ? ["AUTH", this.username, this.password]
+                : ["AUTH", this.password])
+            );
+          }
+          if (this.db) await this.command("SELECT", this.db);
+          // One command per channel: each one gets its own reply
+          for (const channel of this.channels) {
+            await this.command("SUBSCRIBE", channel);
+          }
+          this.ready = true;
+          resolve();
+        } catch (error) {
+          reject(error);
+        }
+      });
+      socket.once("error", reject);
+      socket.on("data", (chunk) => this.onData(chunk));
+      socket.on("close", () => this.onClose(socket));
+    });
+  }
+
+  /**
+   * Send a command
+   * @param {...(string|number)} args - e.g. "SET", "key", "value"
+   * @returns {Promise<*>} Reply (rejects on Redis errors)
+   */
+  command(...args) {
+    if (!this.socket || this.socket.destroyed) {
+      return Promise.reject(new Error("Redis connection is closed"));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * Subscribe to a channel ("message" events)
+   * @param {string} channel
+   * @returns {Promise<void>}
+   */
+  async subscribe(channel) {
+    this.channels.add(channel);
+    await this.command("SUBSCRIBE", channel);
+  }
+
+  /**
+   * Unsubscribe from a channel
+   * @param {string} channel
+   * @returns {Promise<void>}
+   */
+  async unsubscribe(channel) {
+    this.channels.delete(channel);
+    await this.command("UNSUBSCRIBE", channel);
+  }
+
+  /**
+   * Close the connection (no reconnect)
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closing = true;
+    if (!this.socket || this.socket.destroyed) return;
+
+    try {
+      await this.command("QUIT");
+    } catch (error) {
+      // Closing anyway
+    }
+    this.socket.destroy();
+  }
+
+  /**
+   * Parse every complete reply received so far
+   * @param {Buffer} chunk
+   */
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let offset = 0;
+    let reply;
+    while (
+      offset < this.buffer.length &&
+      (reply = parseReply(this.buffer, offset))
+    ) {
+      offset = reply.offset;
+      this.onReply(reply.value);
+    }
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  /**
+   * Route a reply: pub/sub messages are emitted, others settle a command
+   * @param {*} value
+   */
+  onReply(value) {
+    if (Array.isArray(value) && value[0] === "message") {
+      this.emit("message", value[1], value[2]);
+      return;
+    }
+
+    const command = this.pending.shift();
+    if (!command) return;
+    if (value instanceof Error) {
+      command.reject(value);
+    } else {
+      command.resolve(value);
+    }
+  }
+
+  /**
+   * Reject pending commands and reconnect (unless closed on purpose)
+   * @param {net.Socket} socket - Socket that closed
+   */
+  onClose(socket) {
+    if (socket !== this.socket) return;
+
+    const pending = this.pending;
+    this.pending = [];
+    pending.forEach(({ reject }) =>
+      reject(new Error("Redis connection closed"))
+    );
+
+    if (this.closing || !this.ready) return;
+    log.warn("Redis connection lost, reconnecting", {
+      host: this.host,
+      port: this.port,
+      delayMs: this.retryDelayMs,
+    });
+    const retry = setTimeout(
+      () =>
+        this.connect().catch((error) => {
+          log.warn("Cannot reconnect to Redis", { error: error.message });
+        }),
+      this.retryDelayMs
+    );
+    retry.unref();
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * coordination/index.js
+ * Coordinator factory - picks how server processes share rooms
+ *
+ * - "memory" (default): one server process, nothing shared
+ * - "redis": several processes sharing a Redis-compatible server
+ *
+ * @module services/coordination
+ */
+
+import MemoryCoordinator from "./MemoryCoordinator.js";
+import RedisCoordinator from "./RedisCoordinator.js";
+
+/**
+ * Registered coordinator implementations by type
+ * @type {Object<string, typeof import('./Coordinator.js').default>}
+ */
+const COORDINATORS = {
+  memory: MemoryCoordinator,
+  redis: RedisCoordinator,
+};
+
+/**
+ * Create a coordinator
+ * @param {string} [type="memory"] - "memory" or "redis"
+ * @param {Object} [options] - Implementation options (see each class)
+ * @returns {import('./Coordinator.js').default}
+ */
+export function createCoordinator(type = "memory", options = {}) {
+  const Coordinator = COORDINATORS[type];
+
+  if (!Coordinator) {
+    throw new Error(
+      `Unknown coordinator: ${type} (expected ${Object.keys(COORDINATORS).join(
+        " or "
+      )})`
+    );
+  }
+
+  return new Coordinator(options);
+}
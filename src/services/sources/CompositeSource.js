@@ -0,0 +1,207 @@
+/**
+ * CompositeSource.js
+ * EventSource merging several streamers into one room (collab streams)
+ *
+ * Rooms "collab:<room>+<room>[+...]" open one source per streamer, with
+ * the usual room ID rules: "collab:alice+bob" (two TikTok lives),
+ * "collab:alice+twitch:bob", "collab:mock:a+mock:b". Every viewer event
+ * is tagged with the `streamer` it comes from (the member's room ID) and
+ * that streamer's `platform`, so games can run streamer-vs-streamer teams.
+ *
+ * Connection rules:
+ * - connect() needs every streamer; on a failure the others are closed
+ * - A streamer that drops makes the room "disconnected" while the others
+ *   keep streaming; TikTokService's reconnects (connect() again) only
+ *   reopen the missing streamers
+ * - A streamer that ends the live leaves the collab; "streamEnd" is
+ *   emitted once every streamer has ended
+ *
+ * @module services/sources/CompositeSource
+ */
+
+import EventSource from "./EventSource.js";
+
+/**
+ * Streamers per composite room
+ */
+const MIN_STREAMERS = 2;
+const MAX_STREAMERS = 4;
+
+/**
+ * Member events relayed with the streamer's tags
+ * @type {string[]}
+ */
+const FORWARDED_EVENTS = [
+  "chat",
+  "like",
+  "social",
+  "gift",
+  "follow",
+  "member",
+  "subscribe",
+  "emote",
+  "questionNew",
+  "roomUser",
+];
+
+export default class CompositeSource extends EventSource {
+  /**
+   * @param {string} members - Member room IDs joined by "+" ("alice+mock:bob")
+   * @param {Object} options
+   * @param {function(string): EventSource} options.createSource - Builds a
+   *   member's source from its room ID (see createEventSource())
+   */
+  constructor(members, options) {
+    super(members, options);
+
+    const names = [...new Set(members.split("+").filter(Boolean))];
+    if (names.length < MIN_STREAMERS || names.length > MAX_STREAMERS) {
+      throw new Error(
+        `A collab room needs ${MIN_STREAMERS} to ${MAX_STREAMERS} streamers`
+      );
+    }
+    if (names.some((name) => name.startsWith("collab:"))) {
+      throw new Error("Collab rooms cannot contain collab rooms");
+    }
+
+    /**
+     * One entry per streamer
+     * @type {Array<{name: string, source: EventSource, connected: boolean, ended: boolean, roomId: string|null}>}
+     */
+    this.members = names.map((name) => ({
+      name,
+      source: options.createSource(name),
+      connected: false,
+      ended: false,
+      roomId: null,
+    }));
+
+    this.isActive = false; // Between connect() and disconnect()
+    this.isDegraded = false; // "disconnected" sent, waiting for connect()
+
+    this.members.forEach((member) => this.listen(member));
+  }
+
+  get type() {
+    return "collab";
+  }
+
+  /**
+   * Platform of the members, "mixed" when they differ (events still carry
+   * their own streamer's platform)
+   * @returns {string}
+   */
+  get platform() {
+    const platforms = new Set(
+      this.members.map(({ source }) => source.platform)
+    );
+    return platforms.size === 1 ? [...platforms][0] : "mixed";
+  }
+
+  async connect() {
+    if (this.members.every((m) => m.ended)) {
+      throw new Error("Every streamer of the collab ended the live");
+    }
+    const pending = this.members.filter((m) => !m.connected && !m.ended);
+
+    const isFirst = !this.isActive;
+    this.isActive = true;
+
+    const results = await Promise.allSettled(
+      pending.map((member) => member.source.connect())
+    );
+    const failures = [];
+    results.forEach((result, i) => {
+      if (result.status === "fulfilled") {
+        pending[i].connected = true;
+        pending[i].roomId = result.value?.roomId ?? null;
+      } else {
+        failures.push(`${pending[i].name}: ${result.reason.message}`);
+      }
+    });
+
+    if (failures.length > 0) {
+      // A collab starts with everyone; later attempts keep the others
+      if (isFirst) this.disconnect();
+      throw new Error(`Cannot connect ${failures.join("; ")}`);
+    }
+    // disconnect() called meanwhile: close the members that just connected
+    if (!this.isActive) {
+      this.disconnect();
+      throw new Error("Collab room closed while connecting");
+    }
+
+    this.isDegraded = false;
+    const state = {
+      roomId: this.members.map((m) => m.roomId).join("+"),
+      streamers: this.members.map((m) => m.name),
+    };
+    this.emit("connected", state);
+    return state;
+  }
+
+  disconnect() {
+    this.isActive = false;
+    this.isDegraded = false;
+    for (const member of this.members) {
+      member.connected = false;
+      try {
+        member.source.disconnect();
+      } catch (e) {
+        // Ignore disconnect errors
+      }
+    }
+  }
+
+  /**
+   * Get one streamer's source (e.g. to push mock or ingested events)
+   * @param {string} name - Member room ID ("mock:a")
+   * @returns {EventSource|null}
+   */
+  getMember(name) {
+    return this.members.find((member) => member.name === name)?.source || null;
+  }
+
+  /**
+   * Relay a member's events, and follow its connection state
+   * @param {{name: string, source: EventSource, connected: boolean, ended: boolean}} member
+   */
+  listen(member) {
+    const { name, source } = member;
+
+    FORWARDED_EVENTS.forEach((event) => {
+      source.on(event, (data) => {
+        this.emit(event, {
+          ...data,
+          streamer: name,
+          platform: data?.platform || source.platform,
+        });
+      });
+    });
+
+    source.on("error", (err) => {
+      const error = new Error(`${name}: ${err.message}`);
+      error.streamer = name;
+      error.platform = source.platform;
+      this.emit("error", error);
+    });
+
+    source.on("streamEnd", () => {
+      member.ended = true;
+    });
+
+    source.on("disconnected", () => {
+      member.connected = false;
+      if (!this.isActive) return;
+
+      if (this.members.every((m) => m.ended)) {
+        this.isActive = false;
+        this.emit("streamEnd", { streamers: this.members.map((m) => m.name) });
+        this.emit("disconnected");
+      } else if (!member.ended && !this.isDegraded) {
+        this.isDegraded = true;
+        this.emit("disconnected");
+      }
+    });
+  }
+}
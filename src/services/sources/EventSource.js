@@ -0,0 +1,69 @@
+/**
+ * EventSource.js
+ * Base class for upstream live event sources
+ *
+ * TikTokService never talks to a platform SDK directly. It talks to an
+ * EventSource, which emits events in the raw tiktok-live-connector shape:
+ * - "chat", "like", "social", "gift"     → viewer activity
+ * - "follow", "member", "subscribe", "emote", "questionNew"
+ *                                        → more viewer activity
+ * - "roomUser"                           → viewer count + top viewers
+ * - "connected", "disconnected", "error" → connection status
+ * - "streamEnd"                          → live ended by the streamer
+ *   (emitted before "disconnected"; TikTokService will not reconnect)
+ *
+ * TikTokService normalizes these into `tiktok_*` room events, so every
+ * source produces exactly the same output for the games. Room events also
+ * carry the source's `platform` ("tiktok", "twitch"...); a raw event may set
+ * its own `platform` to override it (ingested events).
+ *
+ * @module services/sources/EventSource
+ */
+
+import { EventEmitter } from "events";
+
+export default class EventSource extends EventEmitter {
+  /**
+   * @param {string} username - Upstream username this source listens to
+   * @param {Object} [options] - Source specific options
+   */
+  constructor(username, options = {}) {
+    super();
+    this.username = username;
+    this.options = options;
+  }
+
+  /**
+   * Source type identifier (e.g. "tiktok", "mock")
+   * @returns {string}
+   */
+  get type() {
+    return "base";
+  }
+
+  /**
+   * Streaming platform the events come from (sent with every room event)
+   * @returns {string}
+   */
+  get platform() {
+    return this.type;
+  }
+
+  /**
+   * Open the upstream connection
+   * Must resolve with a state object containing at least `roomId`,
+   * and reject if the upstream is not available.
+   *
+   * @returns {Promise<{roomId: string}>}
+   */
+  async connect() {
+    throw new Error(`${this.constructor.name} must implement connect()`);
+  }
+
+  /**
+   * Close the upstream connection
+   */
+  disconnect() {
+    throw new Error(`${this.constructor.name} must implement disconnect()`);
+  }
+}
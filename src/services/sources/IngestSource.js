@@ -0,0 +1,201 @@
+/**
+ * IngestSource.js
+ * EventSource fed by external programs (chat bots of other platforms...)
+ *
+ * Rooms "ingest:<name>" have no upstream of their own: events are pushed
+ * with POST /api/ingest/:room/events or over the WebSocket
+ * /api/ingest/:room, in the same shape as the room events games receive:
+ *   { "type": "chat", "platform": "youtube",
+ *     "user": { "uniqueId": "bob", "nickname": "Bob" }, "comment": "hit" }
+ *   { "type": "gift", "user": {...}, "giftName": "Super Chat",
+ *     "giftValue": 50, "repeatCount": 1 }
+ * Other types: like (likeCount), share, follow, member, subscribe
+ * (subMonth), viewer_count (viewerCount). `platform` is optional
+ * (default "ingest").
+ *
+ * @module services/sources/IngestSource
+ */
+
+import EventSource from "./EventSource.js";
+import { checkSchema } from "../Schema.js";
+
+const USER = {
+  type: "object",
+  required: ["uniqueId"],
+  properties: {
+    uniqueId: { type: "string", maxLength: 100 },
+    nickname: { type: "string", maxLength: 100 },
+    profilePictureUrl: { type: "string", maxLength: 2000 },
+  },
+};
+
+const count = { type: "integer", min: 1, max: 1000000 };
+
+/**
+ * Fields of each ingested event type (besides type and platform)
+ * @type {Object<string, {required: string[], properties: Object}>}
+ */
+const EVENT_FIELDS = {
+  chat: {
+    required: ["user", "comment"],
+    properties: { user: USER, comment: { type: "string", maxLength: 500 } },
+  },
+  gift: {
+    required: ["user", "giftName", "giftValue"],
+    properties: {
+      user: USER,
+      giftName: { type: "string", maxLength: 100 },
+      giftValue: count,
+      repeatCount: count,
+    },
+  },
+  like: { required: ["user"], properties: { user: USER, likeCount: count } },
+  share: { required: ["user"], properties: { user: USER } },
+  follow: { required: ["user"], properties: { user: USER } },
+  member: { required: ["user"], properties: { user: USER } },
+  subscribe: {
+    required: ["user"],
+    properties: { user: USER, subMonth: count },
+  },
+  viewer_count: {
+    required: ["viewerCount"],
+    properties: { viewerCount: { type: "integer", min: 0 } },
+  },
+};
+
+/**
+ * Event types accepted by push()
+ * @type {string[]}
+ */
+export const INGEST_EVENT_TYPES = Object.keys(EVENT_FIELDS);
+
+export default class IngestSource extends EventSource {
+  /**
+   * @param {string} name - Room name (after "ingest:")
+   * @param {Object} [options]
+   */
+  constructor(name, options = {}) {
+    super(name, options);
+    this.isConnected = false;
+    this.totalLikes = 0;
+  }
+
+  get type() {
+    return "ingest";
+  }
+
+  async connect() {
+    this.isConnected = true;
+    const state = { roomId: `ingest-${this.username}` };
+
+    // Emit asynchronously, like the real connector does
+    setImmediate(() => this.emit("connected", state));
+    return state;
+  }
+
+  disconnect() {
+    if (!this.isConnected) return;
+    this.isConnected = false;
+    this.emit("disconnected");
+  }
+
+  /**
+   * Validate an ingested event
+   * @param {Object} event
+   * @throws {Error} When invalid; `error.errors` lists every problem
+   */
+  validate(event) {
+    const errors = [];
+    const fields = EVENT_FIELDS[event?.type];
+
+    if (!fields) {
+      errors.push(`type: must be one of: ${INGEST_EVENT_TYPES.join(", ")}`);
+    } else {
+      checkSchema(
+        event,
+        {
+          type: "object",
+          required: fields.required,
+          properties: {
+            ...fields.properties,
+            type: { type: "string" },
+            platform: { type: "string", maxLength: 20 },
+          },
+        },
+        "",
+        errors
+      );
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(errors.join("; "));
+      error.errors = errors;
+      throw error;
+    }
+  }
+
+  /**
+   * Emit one ingested event (validated first)
+   * @param {Object} event - See the module description
+   * @throws {Error} When invalid or not connected
+   */
+  push(event) {
+    this.validate(event);
+    if (!this.isConnected) {
+      throw new Error(`Ingest source ${this.username} is not connected`);
+    }
+
+    const user = event.user && {
+      uniqueId: event.user.uniqueId,
+      nickname: event.user.nickname || event.user.uniqueId,
+      profilePictureUrl: event.user.profilePictureUrl || "",
+      platform: event.platform || this.platform,
+    };
+
+    switch (event.type) {
+      case "chat":
+        this.emit("chat", { ...user, comment: event.comment });
+        break;
+      case "gift":
+        this.emit("gift", {
+          ...user,
+          giftName: event.giftName,
+          diamondCount: event.giftValue,
+          repeatCount: event.repeatCount || 1,
+          repeatEnd: true,
+          giftType: 0,
+        });
+        break;
+      case "like":
+        this.totalLikes += event.likeCount || 1;
+        this.emit("like", {
+          ...user,
+          likeCount: event.likeCount || 1,
+          totalLikeCount: this.totalLikes,
+        });
+        break;
+      case "share":
+        this.emit("social", {
+          ...user,
+          displayType: "pm_mt_msg_viewer_share",
+        });
+        break;
+      case "follow":
+        this.emit("follow", user);
+        break;
+      case "member":
+        this.emit("member", { ...user, actionId: 1 });
+        break;
+      case "subscribe":
+        this.emit("subscribe", { ...user, subMonth: event.subMonth || 1 });
+        break;
+      case "viewer_count":
+        this.emit("roomUser", {
+          viewerCount: event.viewerCount,
+          topViewers: [],
+          platform: event.platform || this.platform,
+        });
+        break;
+    }
+  }
+}
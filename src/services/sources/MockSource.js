@@ -0,0 +1,256 @@
+/**
+ * MockSource.js
+ * Scriptable local EventSource - no TikTok account or live stream needed
+ *
+ * Usage:
+ * - Join room "mock:anything" (or start the server with EVENT_SOURCE=mock)
+ * - Without a script, random viewer traffic is generated
+ * - With a script, steps are played in order:
+ *   [{ "delay": 1000, "type": "chat", "user": "alice", "comment": "join" },
+ *    { "delay": 500, "type": "gift", "user": "bob", "giftName": "Rose",
+ *      "diamondCount": 1, "repeatCount": 5 }]
+ * - Events can also be pushed at any time with push() (see POST /api/mock)
+ * - "end" simulates the streamer ending the live, "drop" a lost connection
+ *   ({ "type": "drop", "failures": 2 } also fails the next 2 reconnects)
+ *
+ * @module services/sources/MockSource
+ */
+
+import { readFileSync } from "fs";
+import EventSource from "./EventSource.js";
+
+/**
+ * Demo viewers and gifts used for random traffic
+ */
+const DEMO_USERS = ["alice", "bob", "charlie", "dung", "linh", "minh"];
+const DEMO_COMMENTS = ["join", "hit", "danh", "up", "left", "fire", "hello"];
+const DEMO_GIFTS = [
+  { giftName: "Rose", diamondCount: 1 },
+  { giftName: "Donut", diamondCount: 30 },
+  { giftName: "Lion", diamondCount: 29999 },
+];
+
+/**
+ * Step types accepted by push()
+ * @type {string[]}
+ */
+export const MOCK_EVENT_TYPES = [
+  "chat",
+  "gift",
+  "like",
+  "share",
+  "follow",
+  "member",
+  "subscribe",
+  "emote",
+  "question",
+  "viewers",
+  "end",
+  "drop",
+];
+
+export default class MockSource extends EventSource {
+  /**
+   * @param {string} username - Fake streamer name
+   * @param {Object} [options]
+   * @param {Object[]} [options.script] - Steps to play after connect
+   * @param {string} [options.scriptFile] - JSON file containing the steps
+   * @param {boolean} [options.loop=false] - Restart the script when it ends
+   * @param {number} [options.intervalMs=2000] - Random traffic interval
+   *   (only used without a script, 0 disables random traffic)
+   */
+  constructor(username, options = {}) {
+    super(username, options);
+
+    this.script = options.scriptFile
+      ? JSON.parse(readFileSync(options.scriptFile, "utf8"))
+      : options.script || null;
+    this.intervalMs = options.intervalMs ?? 2000;
+    this.timer = null;
+    this.nextStep = 0; // Script position, kept across reconnects
+    this.failures = 0; // Upcoming connect() calls that should fail
+    this.isConnected = false;
+    this.totalLikes = 0;
+    this.viewerCount = 0;
+  }
+
+  get type() {
+    return "mock";
+  }
+
+  async connect() {
+    if (this.failures > 0) {
+      this.failures--;
+      throw new Error(`Mock source ${this.username} is unavailable`);
+    }
+
+    this.isConnected = true;
+    const state = { roomId: `mock-${this.username}`, isMock: true };
+
+    // Emit asynchronously, like the real connector does
+    setImmediate(() => {
+      this.emit("connected", state);
+      if (this.script) {
+        this.playScript(this.nextStep);
+      } else if (this.intervalMs > 0) {
+        this.timer = setInterval(() => this.randomEvent(), this.intervalMs);
+      }
+    });
+
+    return state;
+  }
+
+  disconnect() {
+    if (!this.isConnected) return;
+    this.isConnected = false;
+    clearTimeout(this.timer);
+    clearInterval(this.timer);
+    this.timer = null;
+    this.emit("disconnected");
+  }
+
+  /**
+   * Play script steps one after another, honouring each step's delay
+   * @param {number} index - Step to play next
+   */
+  playScript(index) {
+    if (!this.isConnected) return;
+
+    if (index >= this.script.length) {
+      if (this.options.loop && this.script.length > 0) this.playScript(0);
+      return;
+    }
+
+    const step = this.script[index];
+    this.timer = setTimeout(() => {
+      this.nextStep = index + 1; // Before push(): "drop" disconnects
+      try {
+        this.push(step);
+      } catch (e) {
+        this.emit("error", { message: e.message });
+      }
+      this.playScript(index + 1);
+    }, step.delay || 0);
+  }
+
+  /**
+   * Emit one event described by a script step
+   * @param {{type: string, user?: string|Object}} step
+   */
+  push(step) {
+    if (!this.isConnected) {
+      throw new Error(`Mock source ${this.username} is not connected`);
+    }
+
+    const user = this.buildUser(step.user);
+
+    switch (step.type) {
+      case "chat":
+        this.emit("chat", { ...user, comment: String(step.comment ?? "") });
+        break;
+      case "gift":
+        this.emit("gift", {
+          ...user,
+          giftId: step.giftId || 0,
+          giftName: step.giftName || "Rose",
+          diamondCount: step.diamondCount ?? 1,
+          repeatCount: step.repeatCount || 1,
+          repeatEnd: step.repeatEnd ?? true,
+          giftType: step.streakable ? 1 : 0,
+        });
+        break;
+      case "like":
+        this.totalLikes += step.likeCount || 1;
+        this.emit("like", {
+          ...user,
+          likeCount: step.likeCount || 1,
+          totalLikeCount: this.totalLikes,
+        });
+        break;
+      case "share":
+        this.emit("social", {
+          ...user,
+          displayType: "pm_mt_msg_viewer_share",
+        });
+        break;
+      case "follow":
+        this.emit("follow", user);
+        break;
+      case "member":
+        this.viewerCount++;
+        this.emit("member", { ...user, actionId: 1 });
+        break;
+      case "subscribe":
+        this.emit("subscribe", { ...user, subMonth: step.subMonth || 1 });
+        break;
+      case "emote":
+        this.emit("emote", {
+          ...user,
+          emoteId: String(step.emoteId || "mock-emote"),
+          emoteImageUrl: step.emoteImageUrl || "",
+        });
+        break;
+      case "question":
+        this.emit("questionNew", {
+          ...user,
+          questionText: String(step.question ?? ""),
+        });
+        break;
+      case "viewers":
+        this.viewerCount = step.viewerCount ?? this.viewerCount;
+        this.emit("roomUser", {
+          viewerCount: this.viewerCount,
+          topViewers: (step.topViewers || []).map((viewer) => ({
+            user: this.buildUser(viewer),
+            coinCount: 0,
+          })),
+        });
+        break;
+      case "end":
+        this.emit("streamEnd", { action: 3 });
+        this.disconnect();
+        break;
+      case "drop":
+        this.failures = step.failures || 0;
+        this.disconnect();
+        break;
+      default:
+        throw new Error(`Unknown mock event type: ${step.type}`);
+    }
+  }
+
+  /**
+   * Emit a random chat, like, share, gift or viewer entering the live
+   */
+  randomEvent() {
+    const pick = (list) => list[Math.floor(Math.random() * list.length)];
+    const roll = Math.random();
+    const user = pick(DEMO_USERS);
+
+    if (roll < 0.6) {
+      this.push({ type: "chat", user, comment: pick(DEMO_COMMENTS) });
+    } else if (roll < 0.8) {
+      this.push({ type: "like", user, likeCount: 1 + Math.floor(roll * 10) });
+    } else if (roll < 0.85) {
+      this.push({ type: "share", user });
+    } else if (roll < 0.9) {
+      this.push({ type: "member", user });
+    } else {
+      this.push({ type: "gift", user, ...pick(DEMO_GIFTS) });
+    }
+  }
+
+  /**
+   * Build connector-style user fields from a name or partial user object
+   * @param {string|Object} [user]
+   * @returns {{uniqueId: string, nickname: string, profilePictureUrl: string}}
+   */
+  buildUser(user = "mock_viewer") {
+    const data = typeof user === "string" ? { uniqueId: user } : user;
+    return {
+      uniqueId: data.uniqueId,
+      nickname: data.nickname || data.uniqueId,
+      profilePictureUrl: data.profilePictureUrl || "",
+    };
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * TikTokLiveSource.js
+ * EventSource adapter for tiktok-live-connector
+ *
+ * @module services/sources/TikTokLiveSource
+ */
+
+import { WebcastPushConnection } from "tiktok-live-connector";
+import EventSource from "./EventSource.js";
+
+/**
+ * Connector events relayed as-is to TikTokService
+ * @type {string[]}
+ */
+const FORWARDED_EVENTS = [
+  "chat",
+  "like",
+  "social",
+  "gift",
+  "follow",
+  "member",
+  "subscribe",
+  "emote",
+  "questionNew",
+  "roomUser",
+  "connected",
+  "disconnected",
+  "streamEnd",
+  "error",
+];
+
+export default class TikTokLiveSource extends EventSource {
+  /**
+   * @param {string} username - TikTok username
+   * @param {Object} [options] - Extra WebcastPushConnection options
+   */
+  constructor(username, options = {}) {
+    super(username, options);
+
+    this.connection = new WebcastPushConnection(username, {
+      processInitialData: true,
+      enableExtendedGiftInfo: true,
+      enableWebsocketUpgrade: true,
+      requestPollingIntervalMs: 2000,
+      sessionId: null,
+      ...options,
+    });
+
+    FORWARDED_EVENTS.forEach((event) => {
+      this.connection.on(event, (...args) => this.emit(event, ...args));
+    });
+  }
+
+  get type() {
+    return "tiktok";
+  }
+
+  async connect() {
+    return this.connection.connect();
+  }
+
+  disconnect() {
+    this.connection.disconnect();
+  }
+}
@@ -0,0 +1,277 @@
+/**
+ * TwitchIrcSource.js
+ * EventSource for Twitch chat, over Twitch's IRC interface
+ *
+ * Rooms "twitch:<channel>" read the channel's chat (anonymously by default)
+ * and translate it into the raw event shape of EventSource:
+ * - PRIVMSG           → "chat" (cheer emotes removed from the comment)
+ * - PRIVMSG with bits → "gift" too: giftName "Bits", giftId "bits",
+ *   value = bits × `bitValue` (the gift catalog can override "bits")
+ * - USERNOTICE sub / resub / subgift → "subscribe" (subgift: the recipient)
+ * - ROOMSTATE (channel joined) → "connected" with the channel's room ID
+ * - RECONNECT or a closed socket → "disconnected" (TikTokService retries)
+ *
+ * Any IRC server speaking the same dialect works (e.g. a local stand-in:
+ * url "irc://127.0.0.1:6667").
+ *
+ * @module services/sources/TwitchIrcSource
+ */
+
+import net from "net";
+import tls from "tls";
+import EventSource from "./EventSource.js";
+
+/**
+ * Default connection options (see constructor)
+ */
+export const DEFAULT_TWITCH = {
+  url: "ircs://irc.chat.twitch.tv:6697",
+  nick: null,
+  password: null,
+  bitValue: 1,
+  connectTimeoutMs: 10000,
+};
+
+/**
+ * Twitch login names (anything else could inject IRC lines through JOIN)
+ */
+const CHANNEL_PATTERN = /^[a-z0-9_]{1,25}$/;
+
+/**
+ * Decode an IRCv3 tag value ("\s" = space, "\:" = ";"...)
+ * @param {string} value
+ * @returns {string}
+ */
+function unescapeTag(value) {
+  return value.replace(/\\(.)/g, (match, char) => {
+    const escapes = { s: " ", ":": ";", r: "\r", n: "\n", "\\": "\\" };
+    return escapes[char] ?? char;
+  });
+}
+
+/**
+ * Parse one IRC line
+ * @param {string} line - e.g. "@bits=100;display-name=Bob :bob!bob@bob.tmi.twitch.tv PRIVMSG #chan :cheer100 hi"
+ * @returns {{tags: Object<string, string>, nick: string|null, command: string, params: string[]}}
+ */
+export function parseIrcLine(line) {
+  let rest = line;
+  const tags = {};
+  let nick = null;
+
+  if (rest.startsWith("@")) {
+    const end = rest.indexOf(" ");
+    for (const tag of rest.slice(1, end).split(";")) {
+      const [key, value = ""] = tag.split("=");
+      tags[key] = unescapeTag(value);
+    }
+    rest = rest.slice(end + 1);
+  }
+
+  if (rest.startsWith(":")) {
+    const end = rest.indexOf(" ");
+    nick = rest.slice(1, end).split("!")[0];
+    rest = rest.slice(end + 1);
+  }
+
+  const trailingAt = rest.indexOf(" :");
+  const trailing = trailingAt === -1 ? null : rest.slice(trailingAt + 2);
+  const [command, ...params] = (
+    trailingAt === -1 ? rest : rest.slice(0, trailingAt)
+  )
+    .split(" ")
+    .filter(Boolean);
+  if (trailing !== null) params.push(trailing);
+
+  return { tags, nick, command, params };
+}
+
+export default class TwitchIrcSource extends EventSource {
+  /**
+   * @param {string} channel - Twitch channel (login name, [a-z0-9_])
+   * @param {Object} [options]
+   * @param {string} [options.url="ircs://irc.chat.twitch.tv:6697"] - IRC
+   *   server ("irc://" plain TCP, "ircs://" TLS)
+   * @param {string} [options.nick] - Login (default: anonymous "justinfan" user)
+   * @param {string} [options.password] - OAuth token ("oauth:..."), with nick
+   * @param {number} [options.bitValue=1] - Gift value of one bit
+   * @param {number} [options.connectTimeoutMs=10000] - Time to join the channel
+   */
+  constructor(channel, options = {}) {
+    const login = channel.toLowerCase();
+    if (!CHANNEL_PATTERN.test(login)) {
+      throw new Error(`Invalid Twitch channel: ${JSON.stringify(channel)}`);
+    }
+
+    super(login, { ...DEFAULT_TWITCH, ...options });
+    this.socket = null;
+    this.buffer = "";
+  }
+
+  get type() {
+    return "twitch";
+  }
+
+  async connect() {
+    const { url, nick, password, connectTimeoutMs } = this.options;
+    const { protocol, hostname, port } = new URL(url);
+    const secure = protocol === "ircs:";
+
+    this.disconnect();
+    this.buffer = "";
+
+    return new Promise((resolve, reject) => {
+      const connectOptions = {
+        host: hostname,
+        port: Number(port) || (secure ? 6697 : 6667),
+      };
+      const socket = secure
+        ? tls.connect({ ...connectOptions, servername: hostname })
+        : net.connect(connectOptions);
+      this.socket = socket;
+      socket.setEncoding("utf8");
+
+      let ready = false;
+      const fail = (message) => {
+        if (ready) return;
+        clearTimeout(timer);
+        socket.destroy();
+        if (this.socket === socket) this.socket = null;
+        reject(new Error(message));
+      };
+      const timer = setTimeout(
+        () => fail(`Cannot join Twitch channel ${this.username} (timed out)`),
+        connectTimeoutMs
+      );
+
+      socket.on(secure ? "secureConnect" : "connect", () => {
+        this.send("CAP REQ :twitch.tv/tags twitch.tv/commands");
+        if (password) this.send(`PASS ${password}`);
+        this.send(
+          `NICK ${
+            nick || `justinfan${Math.floor(Math.random() * 90000) + 10000}`
+          }`
+        );
+        this.send(`JOIN #${this.username}`);
+      });
+
+      socket.on("data", (chunk) => {
+        this.buffer += chunk;
+        const lines = this.buffer.split("\r\n");
+        this.buffer = lines.pop();
+
+        for (const line of lines) {
+          if (!line) continue;
+          const message = parseIrcLine(line);
+
+          if (!ready && message.command === "ROOMSTATE") {
+            ready = true;
+            clearTimeout(timer);
+            const state = { roomId: message.tags["room-id"] || this.username };
+            this.emit("connected", state);
+            resolve(state);
+          } else if (!ready && message.command === "NOTICE") {
+            fail(`Twitch refused the connection: ${message.params.at(-1)}`);
+          } else {
+            this.handleMessage(message);
+          }
+        }
+      });
+
+      socket.on("error", (error) => fail(error.message));
+
+      socket.on("close", () => {
+        if (!ready) return fail("Connection closed by the IRC server");
+        if (this.socket !== socket) return; // Replaced by connect()/disconnect()
+        this.socket = null;
+        this.emit("disconnected");
+      });
+    });
+  }
+
+  disconnect() {
+    if (!this.socket) return;
+    const socket = this.socket;
+    this.socket = null;
+    socket.destroy();
+  }
+
+  /**
+   * Send one IRC line
+   * @param {string} line - Without the trailing CRLF
+   */
+  send(line) {
+    this.socket?.write(`${line}\r\n`);
+  }
+
+  /**
+   * Translate an IRC message of the joined channel into source events
+   * @param {{tags: Object<string, string>, nick: string|null, command: string, params: string[]}} message
+   */
+  handleMessage({ tags, nick, command, params }) {
+    switch (command) {
+      case "PING":
+        this.send(`PONG :${params[0] || "tmi.twitch.tv"}`);
+        break;
+      case "RECONNECT":
+        // Twitch is restarting this server: reconnect elsewhere
+        this.socket?.end();
+        break;
+      case "PRIVMSG": {
+        const user = this.buildUser(tags.login || nick, tags["display-name"]);
+        const bits = Number(tags.bits) || 0;
+        let comment = params[1] || "";
+
+        if (bits > 0) {
+          comment = comment
+            .split(" ")
+            .filter((word) => !/^[a-z]+\d+$/i.test(word))
+            .join(" ");
+          this.emit("gift", {
+            ...user,
+            giftId: "bits",
+            giftName: "Bits",
+            diamondCount: Math.max(1, Math.round(bits * this.options.bitValue)),
+            repeatCount: 1,
+            repeatEnd: true,
+            giftType: 0,
+          });
+        }
+        if (comment) this.emit("chat", { ...user, comment });
+        break;
+      }
+      case "USERNOTICE": {
+        const kind = tags["msg-id"];
+        if (kind === "sub" || kind === "resub") {
+          this.emit("subscribe", {
+            ...this.buildUser(tags.login, tags["display-name"]),
+            subMonth: Number(tags["msg-param-cumulative-months"]) || 1,
+          });
+        } else if (kind === "subgift") {
+          this.emit("subscribe", {
+            ...this.buildUser(
+              tags["msg-param-recipient-user-name"],
+              tags["msg-param-recipient-display-name"]
+            ),
+            subMonth: Number(tags["msg-param-months"]) || 1,
+          });
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Build source user fields from a Twitch login and display name
+   * @param {string} login
+   * @param {string} [displayName]
+   * @returns {{uniqueId: string, nickname: string, profilePictureUrl: string}}
+   */
+  buildUser(login, displayName) {
+    return {
+      uniqueId: login,
+      nickname: displayName || login,
+      profilePictureUrl: "",
+    };
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * sources/index.js
+ * Event source factory - picks the upstream implementation for a room
+ *
+ * Selection rules:
+ * - "<type>:<name>" room IDs use that source: "mock:demo",
+ *   "twitch:<channel>", "ingest:<name>"
+ * - "collab:<room>+<room>" merges several streamers, each member room ID
+ *   following these same rules
+ * - Otherwise the `defaultSource` option decides
+ *
+ * @module services/sources
+ */
+
+import TikTokLiveSource from "./TikTokLiveSource.js";
+import MockSource from "./MockSource.js";
+import TwitchIrcSource from "./TwitchIrcSource.js";
+import IngestSource from "./IngestSource.js";
+import CompositeSource from "./CompositeSource.js";
+
+/**
+ * Registered source implementations by type
+ * @type {Object<string, typeof import('./EventSource.js').default>}
+ */
+const SOURCES = {
+  tiktok: TikTokLiveSource,
+  mock: MockSource,
+  twitch: TwitchIrcSource,
+  ingest: IngestSource,
+  collab: CompositeSource,
+};
+
+/**
+ * Split a room ID into source type and upstream username
+ * @param {string} roomId - Room ID, optionally prefixed ("mock:alice")
+ * @param {string} [defaultSource="tiktok"] - Type used when no prefix
+ * @returns {{type: string, username: string}}
+ */
+export function parseRoomId(roomId, defaultSource = "tiktok") {
+  const match = /^([a-z]+):(.+)$/.exec(roomId);
+  if (match && SOURCES[match[1]]) {
+    return { type: match[1], username: match[2] };
+  }
+  return { type: defaultSource, username: roomId };
+}
+
+/**
+ * Create the event source for a room
+ * @param {string} roomId - Room ID
+ * @param {Object} [options]
+ * @param {string} [options.defaultSource="tiktok"] - Source for plain IDs
+ * @param {Object} [options.sourceOptions] - Per-type options, e.g. `{mock: {...}}`
+ * @returns {import('./EventSource.js').default}
+ */
+export function createEventSource(roomId, options = {}) {
+  const { type, username } = parseRoomId(roomId, options.defaultSource);
+  const Source = SOURCES[type];
+
+  if (!Source) {
+    throw new Error(`Unknown event source: ${type}`);
+  }
+
+  // Members of a collab room are built with the same options
+  if (Source === CompositeSource) {
+    return new CompositeSource(username, {
+      createSource: (member) => createEventSource(member, options),
+    });
+  }
+
+  return new Source(username, options.sourceOptions?.[type]);
+}